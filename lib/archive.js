@@ -0,0 +1,348 @@
+/**
+ * Local post archive
+ * Saves normalized posts as JSON with their media downloaded next to them,
+ * so a post stays viewable after it is deleted upstream. Media files are
+ * content-addressed by SHA-256, so shared avatars and re-saves are stored once.
+ *
+ *   ARCHIVE_DIR/posts/<id>.json   one entry per saved post
+ *   ARCHIVE_DIR/media/<sha256>.<ext>
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const fsp = require('fs/promises');
+const path = require('path');
+const { Readable, Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const { fetchCdnMedia } = require('./mediaProxy');
+const { ExtractionError } = require('./errors');
+
+const ARCHIVE_DIR = path.resolve(process.env.ARCHIVE_DIR || 'archive');
+const POSTS_DIR = path.join(ARCHIVE_DIR, 'posts');
+const MEDIA_DIR = path.join(ARCHIVE_DIR, 'media');
+
+// Largest single media file we keep (MB)
+const MAX_FILE_MB = parseInt(process.env.ARCHIVE_MAX_FILE_MB, 10) || 500;
+
+// Served media paths look like this, anything else is refused
+const MEDIA_FILE_PATTERN = /^[a-f0-9]{64}\.[a-z0-9]{1,5}$/;
+const ENTRY_ID_PATTERN = /^[\w-]+$/;
+
+// content-type -> extension, for URLs that don't end in one
+const EXTENSIONS = {
+  'video/mp4': 'mp4',
+  'video/webm': 'webm',
+  'audio/mp4': 'm4a',
+  'audio/mpeg': 'mp3',
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'image/gif': 'gif',
+};
+
+/**
+ * Archive entry ID for a result, derived from its cache key so the same post
+ * (and the same thread variant) always maps to the same entry. Audio mode
+ * shares the video's cache entry but is saved separately
+ */
+function getEntryId(result) {
+  const id = result.cache.key.replace(/[^\w-]+/g, '-');
+  return result.audioOnly ? `${id}-audio` : id;
+}
+
+/**
+ * Pick a file extension from the response type, or the URL's own extension
+ */
+function getExtension(mediaUrl, contentType) {
+  const type = (contentType || '').split(';')[0].trim().toLowerCase();
+  if (EXTENSIONS[type]) return EXTENSIONS[type];
+
+  const match = new URL(mediaUrl).pathname.match(/\.([a-z0-9]{1,5})$/i);
+  return match ? match[1].toLowerCase() : 'bin';
+}
+
+/**
+ * Download a media URL into the archive, hashing while it streams
+ * @returns {Promise<string|null>} - Archived file name, or null if it couldn't be saved
+ */
+async function downloadMedia(mediaUrl) {
+  let response;
+  try {
+    response = await fetchCdnMedia(mediaUrl, { signal: AbortSignal.timeout(5 * 60 * 1000) });
+  } catch (error) {
+    console.log(`Not archiving ${mediaUrl}:`, error.message);
+    return null;
+  }
+
+  const contentType = response.headers.get('content-type') || '';
+  // Playlists (Bluesky's HLS) only point at media, there's nothing to keep
+  if (!response.ok || !response.body || /mpegurl|dash\+xml/i.test(contentType)) {
+    response.body?.cancel().catch(() => {});
+    console.log(`Not archiving ${mediaUrl}: ${response.status} ${contentType}`);
+    return null;
+  }
+
+  const hash = crypto.createHash('sha256');
+  const tempFile = path.join(MEDIA_DIR, `.download-${crypto.randomUUID()}`);
+  let size = 0;
+
+  try {
+    await pipeline(
+      Readable.fromWeb(response.body),
+      new Transform({
+        transform(chunk, encoding, callback) {
+          size += chunk.length;
+          if (size > MAX_FILE_MB * 1024 * 1024) {
+            return callback(new Error(`larger than ${MAX_FILE_MB}MB`));
+          }
+          hash.update(chunk);
+          callback(null, chunk);
+        },
+      }),
+      fs.createWriteStream(tempFile)
+    );
+
+    const fileName = `${hash.digest('hex')}.${getExtension(mediaUrl, contentType)}`;
+    // Same content saved before, keep the existing copy
+    if (fs.existsSync(path.join(MEDIA_DIR, fileName))) {
+      await fsp.rm(tempFile, { force: true });
+    } else {
+      await fsp.rename(tempFile, path.join(MEDIA_DIR, fileName));
+    }
+    return fileName;
+  } catch (error) {
+    await fsp.rm(tempFile, { force: true });
+    console.log(`Not archiving ${mediaUrl}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Download every media file in a post (and its nested posts), pointing the
+ * post at the archived copies. Media that couldn't be downloaded keeps its
+ * upstream URL, which will stop working, and is listed in `missing`
+ * @returns {Promise<{files: string[], missing: string[]}>} - Archived file
+ *   names, and the source URLs of media that wasn't kept
+ */
+async function archivePostMedia(post, saved = { files: [], missing: [] }) {
+  // Archived path for a URL, or null if it couldn't be downloaded
+  const archive = async (url) => {
+    if (url.startsWith('/api/archive/')) return url;
+    const fileName = await downloadMedia(url);
+    if (!fileName) return null;
+    if (!saved.files.includes(fileName)) saved.files.push(fileName);
+    return `/api/archive/media/${fileName}`;
+  };
+
+  for (const nested of [...(post.thread || []), post.quotedTweet, post.inReplyTo]) {
+    if (nested) await archivePostMedia(nested, saved);
+  }
+
+  if (post.author?.avatar) {
+    post.author.avatar = await archive(post.author.avatar) || post.author.avatar;
+  }
+  if (post.music?.url) {
+    const archived = await archive(post.music.url);
+    if (archived) {
+      post.music.url = archived;
+      delete post.music.proxyUrl;
+    } else {
+      saved.missing.push(post.music.url);
+    }
+  }
+
+  for (const item of post.content?.media || []) {
+    item.sourceUrl = item.url;
+    const archived = item.url ? await archive(item.url) : null;
+    // Keep the signed proxy URL for whatever wasn't saved, it works until it expires
+    if (archived) {
+      item.url = archived;
+      item.proxyUrl = archived;
+    } else {
+      saved.missing.push(item.url || item.thumbnail || post.originalUrl);
+    }
+    if (item.thumbnail) {
+      const thumbnail = await archive(item.thumbnail);
+      if (thumbnail) {
+        item.thumbnail = thumbnail;
+        item.proxyThumbnail = thumbnail;
+      }
+    }
+    // Only the playing quality is kept, the rest would expire anyway
+    item.variants = [];
+    for (const track of item.subtitles || []) {
+      delete track.proxyUrl;
+    }
+    item.subtitles = [];
+  }
+  return saved;
+}
+
+/**
+ * Save an extraction result to the archive, replacing any earlier save
+ * @param {object} result - Result from extractUrl(), with proxy URLs attached
+ * @returns {Promise<object>} - Summary of the saved entry
+ */
+async function saveToArchive(result) {
+  if (result.embedMode) {
+    throw new ExtractionError('no-media', {
+      message: 'Only fully extracted posts can be saved, not embeds',
+    });
+  }
+  if (result.type === 'profile') {
+    throw new ExtractionError('invalid-url', {
+      message: 'Profiles can\'t be saved, open a single post and save that',
+    });
+  }
+
+  await fsp.mkdir(POSTS_DIR, { recursive: true });
+  await fsp.mkdir(MEDIA_DIR, { recursive: true });
+
+  const id = getEntryId(result);
+  const post = structuredClone(result);
+  delete post.cache;
+  delete post.pipeline;
+  post.archived = true;
+
+  const { files, missing } = await archivePostMedia(post);
+  const entry = {
+    id,
+    savedAt: new Date().toISOString(),
+    files,
+    missing,
+    result: post,
+  };
+
+  await fsp.writeFile(path.join(POSTS_DIR, `${id}.json`), JSON.stringify(entry));
+  console.log(`Archived ${id} with ${files.length} media files${missing.length ? `, ${missing.length} not saved` : ''}`);
+  return toSummary(entry);
+}
+
+/**
+ * The list view of an entry, without the full result
+ */
+function toSummary(entry) {
+  const { result } = entry;
+  const cover = result.content?.media?.[0];
+  return {
+    id: entry.id,
+    savedAt: entry.savedAt,
+    platform: result.platform,
+    originalUrl: result.originalUrl,
+    permalink: result.permalink || null,
+    author: {
+      username: result.author?.username || '',
+      displayName: result.author?.displayName || '',
+    },
+    text: (result.content?.text || '').slice(0, 280),
+    thumbnail: cover?.thumbnail || (cover?.type === 'image' ? cover.url : '') || '',
+    mediaCount: result.content?.media?.length || 0,
+    // Media still pointing upstream, gone once the CDN link expires
+    missingMedia: entry.missing?.length || 0,
+    audioOnly: !!result.audioOnly,
+  };
+}
+
+/**
+ * Read every archived entry, newest first
+ */
+async function readEntries() {
+  let names;
+  try {
+    names = await fsp.readdir(POSTS_DIR);
+  } catch {
+    return [];
+  }
+
+  const entries = [];
+  for (const name of names.filter(n => n.endsWith('.json'))) {
+    try {
+      entries.push(JSON.parse(await fsp.readFile(path.join(POSTS_DIR, name), 'utf8')));
+    } catch (error) {
+      console.error(`Skipping unreadable archive entry ${name}:`, error.message);
+    }
+  }
+  return entries.sort((a, b) => b.savedAt.localeCompare(a.savedAt));
+}
+
+/**
+ * List archived posts, optionally filtered
+ * @param {object} [options]
+ * @param {string} [options.query] - Matches post text, author and username
+ * @param {string} [options.platform] - Only posts from this platform
+ * @returns {Promise<object[]>} - Entry summaries, newest first
+ */
+async function listArchive({ query = '', platform = '' } = {}) {
+  const needle = query.trim().toLowerCase();
+
+  return (await readEntries())
+    .map(toSummary)
+    .filter(summary => !platform || summary.platform === platform)
+    .filter(summary => !needle || [
+      summary.text,
+      summary.author.username,
+      summary.author.displayName,
+    ].some(value => value.toLowerCase().includes(needle)));
+}
+
+/**
+ * Get one archived entry with its full result, or null
+ */
+async function getArchiveEntry(id) {
+  if (!ENTRY_ID_PATTERN.test(id)) return null;
+  try {
+    return JSON.parse(await fsp.readFile(path.join(POSTS_DIR, `${id}.json`), 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Delete an archived entry and any media no other entry uses
+ * @returns {Promise<boolean>} - False when there was no such entry
+ */
+async function deleteArchiveEntry(id) {
+  const entry = await getArchiveEntry(id);
+  if (!entry) return false;
+
+  await fsp.rm(path.join(POSTS_DIR, `${id}.json`), { force: true });
+
+  const stillUsed = new Set((await readEntries()).flatMap(other => other.files || []));
+  for (const file of entry.files || []) {
+    if (!stillUsed.has(file)) {
+      await fsp.rm(path.join(MEDIA_DIR, file), { force: true });
+    }
+  }
+  return true;
+}
+
+/**
+ * Express handler for /api/archive/media/:file
+ */
+function handleArchiveMediaRequest(req, res) {
+  const { file } = req.params;
+  if (!MEDIA_FILE_PATTERN.test(file)) {
+    return res.status(404).json({
+      error: 'Not found',
+      message: 'No archived media with that name',
+    });
+  }
+
+  // Content-addressed, so the file behind a name never changes
+  res.sendFile(path.join(MEDIA_DIR, file), { maxAge: '1y', immutable: true }, (error) => {
+    if (error && !res.headersSent) {
+      res.status(404).json({
+        error: 'Not found',
+        message: 'No archived media with that name',
+      });
+    }
+  });
+}
+
+module.exports = {
+  saveToArchive,
+  listArchive,
+  getArchiveEntry,
+  deleteArchiveEntry,
+  handleArchiveMediaRequest,
+};
@@ -0,0 +1,78 @@
+/**
+ * Audio-only mode
+ * Turns the videos in a normalized result into audio items, using an
+ * audio-only format when yt-dlp found one and the muxed video otherwise
+ */
+
+const { ExtractionError } = require('./errors');
+
+/**
+ * Pick the best audio-only variant of a video, or null
+ */
+function pickAudioVariant(variants) {
+  const audioOnly = (variants || []).filter(v => v.hasAudio && !v.hasVideo);
+  audioOnly.sort((a, b) => (b.bitrate || 0) - (a.bitrate || 0));
+  return audioOnly[0] || null;
+}
+
+/**
+ * Build an audio item from a video media item
+ */
+function toAudioItem(item) {
+  const variant = pickAudioVariant(item.variants);
+
+  return {
+    type: 'audio',
+    // <audio> plays the sound track of an MP4 just fine
+    url: variant?.url || item.url,
+    thumbnail: item.thumbnail || '',
+    duration: item.duration || null,
+    bitrate: variant?.bitrate || null,
+    container: variant?.container || null,
+    codec: variant?.acodec || null,
+    fromVideo: !variant,
+  };
+}
+
+/**
+ * Replace every video in a post (and its nested posts) with its audio
+ * Returns whether any audio was found
+ */
+function convertPost(post) {
+  let found = false;
+
+  for (const nested of [...(post?.thread || []), post?.quotedTweet, post?.inReplyTo]) {
+    if (nested && convertPost(nested)) found = true;
+  }
+
+  const media = post?.content?.media;
+  if (!media) return found;
+
+  post.content.media = media.map(item => {
+    if (item.type !== 'video' || !item.url) return item;
+    found = true;
+    return toAudioItem(item);
+  });
+  return found;
+}
+
+/**
+ * Convert a result to audio-only mode in place
+ * Embed fallbacks are left alone, the embedded player has sound anyway
+ * Throws no-media when the post has nothing to listen to
+ */
+function toAudioOnly(result) {
+  if (result.embedMode) return result;
+
+  if (!convertPost(result)) {
+    throw new ExtractionError('no-media', {
+      message: 'This post has no audio to play',
+    });
+  }
+  result.audioOnly = true;
+  return result;
+}
+
+module.exports = {
+  toAudioOnly,
+};
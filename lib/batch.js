@@ -0,0 +1,29 @@
+/**
+ * Bounded-concurrency helper for batch extraction
+ */
+
+/**
+ * Run `worker` over every item with at most `limit` running at once
+ * Workers are expected to handle their own errors
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum concurrent workers
+ * @param {Function} worker - Async function called with (item, index)
+ * @param {object} options
+ * @param {AbortSignal} [options.signal] - Stops starting new items once aborted
+ */
+async function runWithConcurrency(items, limit, worker, { signal } = {}) {
+  let next = 0;
+
+  const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length && !signal?.aborted) {
+      const index = next++;
+      await worker(items[index], index);
+    }
+  });
+
+  await Promise.all(runners);
+}
+
+module.exports = {
+  runWithConcurrency,
+};
@@ -0,0 +1,139 @@
+/**
+ * Bluesky content extractor
+ * Reads posts from the public AppView API, no account needed
+ */
+
+const { ExtractionError } = require('./errors');
+const { fetchJson } = require('./http');
+const { parsePlatformUrl } = require('./platforms');
+
+const API_BASE = 'https://public.api.bsky.app/xrpc';
+
+/**
+ * Normalize a Bluesky profile view
+ */
+function toAuthor(author) {
+  return {
+    username: author?.handle || '',
+    displayName: author?.displayName || author?.handle || '',
+    avatar: author?.avatar || '',
+  };
+}
+
+/**
+ * Web URL for a post AT-URI (at://did/app.bsky.feed.post/rkey)
+ */
+function toPostUrl(handle, uri) {
+  return `https://bsky.app/profile/${handle}/post/${uri.split('/').pop()}`;
+}
+
+/**
+ * Media items for an embed view
+ * Video is only served as an HLS playlist, which not every browser plays
+ * inline, so it's marked `hls` and the pipeline tries the embed too
+ */
+function getBlueskyMedia(embed) {
+  switch (embed?.$type) {
+    case 'app.bsky.embed.images#view':
+      return embed.images.map(image => ({
+        type: 'image',
+        url: image.fullsize,
+        thumbnail: image.thumb,
+        width: image.aspectRatio?.width || null,
+        height: image.aspectRatio?.height || null,
+      }));
+    case 'app.bsky.embed.video#view':
+      return [{
+        type: 'video',
+        url: embed.playlist,
+        hls: true,
+        thumbnail: embed.thumbnail || '',
+        width: embed.aspectRatio?.width || null,
+        height: embed.aspectRatio?.height || null,
+        duration: null,
+        variants: [],
+      }];
+    case 'app.bsky.embed.recordWithMedia#view':
+      return getBlueskyMedia(embed.media);
+    default:
+      return [];
+  }
+}
+
+/**
+ * Quoted post from a record embed, shown like a quoted tweet
+ */
+function getQuotedPost(embed) {
+  const record = embed?.$type === 'app.bsky.embed.recordWithMedia#view'
+    ? embed.record?.record
+    : embed?.$type === 'app.bsky.embed.record#view' ? embed.record : null;
+
+  if (record?.$type !== 'app.bsky.embed.record#viewRecord') return null;
+
+  return {
+    platform: 'bluesky',
+    author: toAuthor(record.author),
+    content: {
+      text: record.value?.text || '',
+      media: getBlueskyMedia(record.embeds?.[0]),
+    },
+    timestamp: record.value?.createdAt || '',
+    originalUrl: toPostUrl(record.author.handle, record.uri),
+  };
+}
+
+/**
+ * Extract and normalize a Bluesky post
+ * @param {string} url - Post URL
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels the request
+ */
+async function extractBlueskyContent(url, { signal } = {}) {
+  const parsed = parsePlatformUrl(url);
+  if (parsed?.platform !== 'bluesky') {
+    throw new ExtractionError('invalid-url', { extractor: 'bluesky', message: 'Invalid Bluesky URL' });
+  }
+
+  // The AppView resolves handles in AT-URIs itself
+  const uri = `at://${parsed.username}/app.bsky.feed.post/${parsed.id}`;
+  const data = await fetchJson(
+    `${API_BASE}/app.bsky.feed.getPostThread?uri=${encodeURIComponent(uri)}&depth=0&parentHeight=0`,
+    // Unknown posts and handles come back as 400 NotFound
+    { extractor: 'bluesky', signal, statusCodes: { 400: 'removed' } }
+  );
+
+  const thread = data?.thread;
+  if (thread?.$type === 'app.bsky.feed.defs#blockedPost') {
+    throw new ExtractionError('private', { extractor: 'bluesky', detail: 'Post is blocked' });
+  }
+  if (!thread?.post) {
+    throw new ExtractionError('removed', { extractor: 'bluesky', detail: thread?.$type || 'No post in response' });
+  }
+
+  const { post } = thread;
+  const result = {
+    platform: 'bluesky',
+    author: toAuthor(post.author),
+    content: {
+      text: post.record?.text || '',
+      media: getBlueskyMedia(post.embed),
+    },
+    timestamp: post.record?.createdAt || post.indexedAt || '',
+    originalUrl: url,
+    stats: {
+      replies: post.replyCount || 0,
+      retweets: (post.repostCount || 0) + (post.quoteCount || 0),
+      likes: post.likeCount || 0,
+    },
+  };
+
+  const quoted = getQuotedPost(post.embed);
+  if (quoted) {
+    result.quotedTweet = quoted;
+  }
+  return result;
+}
+
+module.exports = {
+  extractBlueskyContent,
+};
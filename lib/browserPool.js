@@ -0,0 +1,343 @@
+/**
+ * Shared headless browser pool
+ * One Chromium instance for every Puppeteer extractor, with a cap on open
+ * pages, a wait queue, page recycling and periodic browser restarts
+ */
+
+const fs = require('fs');
+const puppeteer = require('puppeteer');
+const { ExtractionError } = require('./errors');
+
+// Maximum number of pages in use at once
+const MAX_PAGES = parseInt(process.env.BROWSER_MAX_PAGES, 10) || 3;
+
+// Restart the browser after serving this many pages (Chromium leaks memory)
+const MAX_USES = parseInt(process.env.BROWSER_MAX_USES, 10) || 100;
+
+// Restart the browser once its process tree uses more than this (MB, 0 = off)
+const MAX_MEMORY_MB = parseInt(process.env.BROWSER_MAX_MEMORY_MB, 10) || 1024;
+
+// How long a caller may wait for a free page (ms)
+const QUEUE_TIMEOUT = parseInt(process.env.BROWSER_QUEUE_TIMEOUT, 10) || 60000;
+
+const LAUNCH_OPTIONS = {
+  headless: true,
+  args: [
+    '--no-sandbox',
+    '--disable-setuid-sandbox',
+    '--disable-dev-shm-usage',
+    '--disable-accelerated-2d-canvas',
+    '--disable-gpu',
+    '--window-size=1920x1080',
+  ],
+};
+
+// Puppeteer's own default, restored when a page is recycled
+const DEFAULT_VIEWPORT = { width: 800, height: 600 };
+
+let browser = null;
+let launching = null;
+let restartPending = false;
+let closed = false;
+
+const idlePages = [];
+const waiters = [];
+
+// page -> function detaching its abort listener
+const abortHandlers = new WeakMap();
+// page -> incognito context it was opened in, for logged-in pages
+const sessionContexts = new WeakMap();
+let pagesInUse = 0;
+let usesSinceLaunch = 0;
+
+const stats = {
+  launches: 0,
+  restarts: 0,
+  crashes: 0,
+  pagesServed: 0,
+};
+
+/**
+ * Launch the browser, sharing a single launch between concurrent callers
+ */
+async function getBrowser() {
+  if (browser && browser.connected) return browser;
+  if (launching) return launching;
+
+  launching = (async () => {
+    const instance = await puppeteer.launch(LAUNCH_OPTIONS);
+    stats.launches++;
+    usesSinceLaunch = 0;
+
+    instance.on('disconnected', () => {
+      if (browser !== instance) return;
+      // Anything still holding a page will see it fail; drop our references
+      if (!closed && !restartPending) {
+        stats.crashes++;
+        console.error('Browser disconnected unexpectedly, will relaunch on next use');
+      }
+      browser = null;
+      idlePages.length = 0;
+    });
+
+    browser = instance;
+    return instance;
+  })();
+
+  try {
+    return await launching;
+  } finally {
+    launching = null;
+  }
+}
+
+/**
+ * Resident memory of the browser process tree in MB (Linux only, 0 elsewhere)
+ */
+function getBrowserMemoryMb() {
+  const rootPid = browser?.process()?.pid;
+  if (!rootPid) return 0;
+
+  let totalKb = 0;
+  const pending = [rootPid];
+  while (pending.length > 0) {
+    const pid = pending.pop();
+    try {
+      const status = fs.readFileSync(`/proc/${pid}/status`, 'utf8');
+      const rss = status.match(/VmRSS:\s+(\d+)/);
+      if (rss) totalKb += parseInt(rss[1], 10);
+
+      const children = fs.readFileSync(`/proc/${pid}/task/${pid}/children`, 'utf8');
+      pending.push(...children.split(/\s+/).filter(Boolean).map(Number));
+    } catch {
+      // Process exited or /proc isn't available
+    }
+  }
+  return Math.round(totalKb / 1024);
+}
+
+/**
+ * Whether the browser is due for a restart
+ */
+function needsRestart() {
+  if (!browser) return false;
+  if (usesSinceLaunch >= MAX_USES) return true;
+  return MAX_MEMORY_MB > 0 && getBrowserMemoryMb() > MAX_MEMORY_MB;
+}
+
+/**
+ * Close the browser once no pages are in use, so it relaunches fresh
+ */
+async function restartIfIdle() {
+  if (!restartPending || pagesInUse > 0) return;
+
+  // Crashed while draining, the next acquire launches a fresh one anyway
+  if (!browser) {
+    restartPending = false;
+    return wakeWaiters();
+  }
+
+  const instance = browser;
+  browser = null;
+  idlePages.length = 0;
+  stats.restarts++;
+  console.log(`Restarting browser after ${usesSinceLaunch} pages`);
+
+  await instance.close().catch(() => {});
+  restartPending = false;
+  wakeWaiters();
+}
+
+/**
+ * Hand free page slots to queued callers
+ */
+function wakeWaiters() {
+  while (waiters.length > 0 && pagesInUse < MAX_PAGES && !restartPending) {
+    const waiter = waiters.shift();
+    clearTimeout(waiter.timer);
+    waiter.detach();
+    pagesInUse++;
+    waiter.resolve();
+  }
+}
+
+/**
+ * Wait for a free page slot
+ */
+function reserveSlot(signal) {
+  if (signal?.aborted) {
+    return Promise.reject(new ExtractionError('cancelled', { extractor: 'browser' }));
+  }
+
+  if (closed) {
+    return Promise.reject(new ExtractionError('unknown', {
+      extractor: 'browser',
+      detail: 'Browser pool is shut down',
+    }));
+  }
+
+  if (pagesInUse < MAX_PAGES && !restartPending) {
+    pagesInUse++;
+    return Promise.resolve();
+  }
+
+  return new Promise((resolve, reject) => {
+    const waiter = { resolve, reject };
+
+    const onAbort = () => {
+      clearTimeout(waiter.timer);
+      waiters.splice(waiters.indexOf(waiter), 1);
+      reject(new ExtractionError('cancelled', { extractor: 'browser' }));
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+    waiter.detach = () => signal?.removeEventListener('abort', onAbort);
+
+    waiter.timer = setTimeout(() => {
+      waiter.detach();
+      waiters.splice(waiters.indexOf(waiter), 1);
+      reject(new ExtractionError('timeout', {
+        extractor: 'browser',
+        detail: `No browser page free after ${QUEUE_TIMEOUT}ms`,
+      }));
+    }, QUEUE_TIMEOUT);
+    waiters.push(waiter);
+  });
+}
+
+/**
+ * Acquire a page from the pool
+ * Always pair with releasePage(), usually in a finally block
+ * @param {object} options
+ * @param {AbortSignal} [options.signal] - Stops waiting for a slot, or closes
+ *   the page so whatever is running on it fails fast
+ * @param {object[]} [options.cookies] - Session cookies; the page gets its own
+ *   browser context so they never leak into pooled pages
+ * @returns {Promise<import('puppeteer').Page>}
+ */
+async function acquirePage({ signal, cookies } = {}) {
+  await reserveSlot(signal);
+
+  // Logged-in pages get their own context, closed again if setup fails
+  let context = null;
+  let page;
+  try {
+    const instance = await getBrowser();
+
+    if (cookies?.length) {
+      context = await instance.createBrowserContext();
+      page = await context.newPage();
+      sessionContexts.set(page, context);
+      await page.setCookie(...cookies);
+    } else {
+      page = idlePages.pop();
+      if (!page || page.isClosed()) {
+        page = await instance.newPage();
+      }
+    }
+
+    usesSinceLaunch++;
+    stats.pagesServed++;
+
+    if (signal) {
+      const onAbort = () => page.close().catch(() => {});
+      signal.addEventListener('abort', onAbort, { once: true });
+      abortHandlers.set(page, () => signal.removeEventListener('abort', onAbort));
+      if (signal.aborted) onAbort();
+    }
+    return page;
+  } catch (error) {
+    if (context) {
+      if (page) sessionContexts.delete(page);
+      await context.close().catch(() => {});
+    }
+    pagesInUse--;
+    wakeWaiters();
+    throw error;
+  }
+}
+
+/**
+ * Return a page to the pool, resetting it for the next caller
+ * Pages that fail to reset are closed instead of recycled, and logged-in
+ * pages are closed along with their context
+ */
+async function releasePage(page) {
+  abortHandlers.get(page)?.();
+  abortHandlers.delete(page);
+  const context = sessionContexts.get(page);
+  sessionContexts.delete(page);
+
+  try {
+    if (context) {
+      await context.close();
+    } else if (!page.isClosed() && browser?.connected && !restartPending) {
+      page.removeAllListeners('request');
+      page.removeAllListeners('response');
+      await page.setRequestInterception(false);
+      await page.setViewport(DEFAULT_VIEWPORT);
+      await page.goto('about:blank', { timeout: 5000 });
+      idlePages.push(page);
+    } else if (!page.isClosed()) {
+      await page.close();
+    }
+  } catch {
+    await page.close().catch(() => {});
+  } finally {
+    pagesInUse--;
+
+    if (!restartPending && needsRestart()) {
+      restartPending = true;
+    }
+    if (restartPending) {
+      await restartIfIdle();
+    } else {
+      wakeWaiters();
+    }
+  }
+}
+
+/**
+ * Pool stats for the health endpoint
+ */
+function getBrowserPoolStats() {
+  return {
+    running: !!browser?.connected,
+    pagesInUse,
+    idlePages: idlePages.length,
+    waiting: waiters.length,
+    maxPages: MAX_PAGES,
+    usesSinceLaunch,
+    memoryMb: getBrowserMemoryMb(),
+    ...stats,
+  };
+}
+
+/**
+ * Close the browser and reject anyone still waiting for a page
+ */
+async function closeBrowserPool() {
+  closed = true;
+
+  for (const waiter of waiters.splice(0)) {
+    clearTimeout(waiter.timer);
+    waiter.detach();
+    waiter.reject(new ExtractionError('cancelled', {
+      extractor: 'browser',
+      detail: 'Browser pool is shutting down',
+    }));
+  }
+
+  const instance = browser || await launching?.catch(() => null);
+  browser = null;
+  idlePages.length = 0;
+  if (instance) {
+    await instance.close().catch(() => {});
+  }
+}
+
+module.exports = {
+  acquirePage,
+  releasePage,
+  getBrowserPoolStats,
+  closeBrowserPool,
+};
@@ -0,0 +1,226 @@
+/**
+ * Extraction result cache
+ * In-process TTL cache keyed on canonical post IDs, with coalescing of
+ * concurrent identical requests and optional JSON-file persistence
+ */
+
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const { parsePlatformUrl, getPlatform } = require('./platforms');
+const { ExtractionError } = require('./errors');
+
+// How long results stay fresh (seconds)
+const CACHE_TTL = parseInt(process.env.CACHE_TTL, 10) || 30 * 60;
+
+// Embed fallbacks are cheap and might succeed properly later, so expire sooner
+const CACHE_EMBED_TTL = parseInt(process.env.CACHE_EMBED_TTL, 10) || 5 * 60;
+
+// Upper bound on in-memory entries; oldest entries are evicted first
+const CACHE_MAX_ENTRIES = parseInt(process.env.CACHE_MAX_ENTRIES, 10) || 500;
+
+// Set CACHE_DIR to persist entries across restarts
+const CACHE_DIR = process.env.CACHE_DIR || '';
+
+// key -> { value, cachedAt, expiresAt }
+const entries = new Map();
+
+// key -> { promise, controller, waiters } for an in-flight extraction
+// The extraction runs on its own controller, shared by every caller waiting on it
+const inflight = new Map();
+
+/**
+ * Build a canonical cache key for a URL, so different links to the same post
+ * (x.com vs twitter.com, /reel/ vs /p/, tracking params) share an entry
+ * Options that change the result shape (threads) get their own entry
+ */
+function getCacheKey(url, platform, options = {}) {
+  const parsed = parsePlatformUrl(url);
+  if (!parsed || parsed.platform !== platform) {
+    return `${platform}:${url}`;
+  }
+
+  const definition = getPlatform(platform);
+  const threaded = options.thread && definition.supportsThreads;
+  const variant = threaded ? (options.threadParents ? ':thread+parents' : ':thread') : '';
+
+  // IDs that can't find the post on their own (Bluesky record keys) are only
+  // unique per account, so the author is part of the key
+  const scoped = definition.getPostUrl && !definition.getPostUrl({ id: parsed.id }) && parsed.username;
+  const id = scoped ? `${parsed.username.toLowerCase()}/${parsed.id}` : parsed.id;
+  return `${platform}:${id}${variant}`;
+}
+
+/**
+ * Get the file path used to persist a key
+ */
+function getCacheFile(key) {
+  const hash = crypto.createHash('sha1').update(key).digest('hex');
+  return path.join(CACHE_DIR, `${hash}.json`);
+}
+
+/**
+ * Store an entry in memory, evicting the oldest entry when full
+ */
+function remember(key, entry) {
+  entries.delete(key);
+  entries.set(key, entry);
+  if (entries.size > CACHE_MAX_ENTRIES) {
+    entries.delete(entries.keys().next().value);
+  }
+}
+
+/**
+ * Look up a fresh entry, falling back to disk when persistence is enabled
+ */
+async function lookup(key) {
+  const entry = entries.get(key);
+  if (entry && entry.expiresAt > Date.now()) {
+    return entry;
+  }
+  entries.delete(key);
+
+  if (!CACHE_DIR) return null;
+
+  try {
+    const stored = JSON.parse(await fs.readFile(getCacheFile(key), 'utf8'));
+    if (stored.key === key && stored.expiresAt > Date.now()) {
+      remember(key, stored);
+      return stored;
+    }
+    await fs.rm(getCacheFile(key), { force: true });
+  } catch {
+    // Missing or unreadable file is just a miss
+  }
+  return null;
+}
+
+/**
+ * Store a value for a key
+ */
+async function store(key, value) {
+  const ttl = value?.embedMode ? CACHE_EMBED_TTL : CACHE_TTL;
+  const entry = {
+    key,
+    value,
+    cachedAt: Date.now(),
+    expiresAt: Date.now() + ttl * 1000,
+  };
+  remember(key, entry);
+
+  if (CACHE_DIR) {
+    try {
+      await fs.mkdir(CACHE_DIR, { recursive: true });
+      await fs.writeFile(getCacheFile(key), JSON.stringify(entry));
+    } catch (error) {
+      console.error('Failed to persist cache entry:', error.message);
+    }
+  }
+  return entry;
+}
+
+/**
+ * Start an extraction that any number of callers can wait on
+ * Progress goes to every waiting caller, and the extraction is only
+ * cancelled once all of them have given up
+ */
+function startExtraction(key, extract, waiter) {
+  const job = { controller: new AbortController(), waiters: new Set([waiter]) };
+  const onProgress = (stage, message) => {
+    for (const waiter of job.waiters) waiter.onProgress?.(stage, message);
+  };
+
+  job.promise = (async () => {
+    const value = await extract(job.controller.signal, onProgress);
+    return store(key, value);
+  })();
+  job.promise
+    .catch(() => {})
+    .finally(() => {
+      if (inflight.get(key) === job) inflight.delete(key);
+    });
+
+  inflight.set(key, job);
+  return job;
+}
+
+/**
+ * Wait for a promise, giving up early when the caller's signal aborts
+ */
+function waitFor(promise, signal) {
+  if (!signal) return promise;
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(new ExtractionError('cancelled'));
+    if (signal.aborted) return onAbort();
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise
+      .finally(() => signal.removeEventListener('abort', onAbort))
+      .then(resolve, reject);
+  });
+}
+
+/**
+ * Get a cached value or run the extraction, coalescing concurrent callers
+ * @param {string} key - Canonical cache key from getCacheKey(), or getProfileCacheKey()
+ *   in lib/profiles.js
+ * @param {Function} extract - Async (signal, onProgress) => value, run on a miss.
+ *   Use the signal and progress callback it is given, not the caller's own
+ * @param {object} options
+ * @param {boolean} [options.refresh] - Skip the cache and extract again
+ * @param {AbortSignal} [options.signal] - Stops this caller waiting, and cancels
+ *   the extraction if no other caller still wants it
+ * @param {Function} [options.onProgress] - Called with (stage, message) as extraction proceeds
+ * @returns {Promise<{value: object, hit: boolean, cachedAt: number, expiresAt: number}>}
+ */
+async function getOrExtract(key, extract, { refresh = false, signal, onProgress } = {}) {
+  if (!refresh) {
+    const entry = await lookup(key);
+    if (entry) {
+      return { ...entry, hit: true };
+    }
+  }
+
+  // Someone may already be extracting this post, wait for their result
+  const waiter = { onProgress };
+  const coalesced = inflight.has(key);
+  const job = coalesced ? inflight.get(key) : startExtraction(key, extract, waiter);
+  job.waiters.add(waiter);
+
+  try {
+    const entry = await waitFor(job.promise, signal);
+    return coalesced ? { ...entry, hit: false, coalesced: true } : { ...entry, hit: false };
+  } finally {
+    job.waiters.delete(waiter);
+    // Last one waiting gave up, stop the work and let the next caller start afresh
+    if (signal?.aborted && job.waiters.size === 0) {
+      if (inflight.get(key) === job) inflight.delete(key);
+      job.controller.abort();
+    }
+  }
+}
+
+/**
+ * Cache stats for the health endpoint
+ */
+function getCacheStats() {
+  return {
+    entries: entries.size,
+    inflight: inflight.size,
+    ttl: CACHE_TTL,
+    persistent: !!CACHE_DIR,
+  };
+}
+
+// Drop expired entries from memory every minute
+setInterval(() => {
+  const now = Date.now();
+  for (const [key, entry] of entries) {
+    if (entry.expiresAt <= now) entries.delete(key);
+  }
+}, 60 * 1000).unref();
+
+module.exports = {
+  getCacheKey,
+  getOrExtract,
+  getCacheStats,
+};
@@ -0,0 +1,178 @@
+/**
+ * Shared error model
+ * Every extractor failure is reported as an ExtractionError with a stable
+ * code, so the API and frontend can tell a deleted post from a rate limit
+ */
+
+// code -> HTTP status, short title, user-facing message, retryable
+const ERROR_CODES = {
+  'invalid-url': {
+    status: 400,
+    title: 'Invalid URL',
+    message: 'The provided URL is not valid',
+    retryable: false,
+  },
+  'unsupported': {
+    status: 400,
+    title: 'Unsupported platform',
+    message: 'Links from this site are not supported',
+    retryable: false,
+  },
+  'private': {
+    status: 403,
+    title: 'Private content',
+    message: 'This post is from a private or protected account',
+    retryable: false,
+  },
+  'login-required': {
+    status: 401,
+    title: 'Login required',
+    message: 'This post can only be viewed while logged in',
+    retryable: false,
+  },
+  'removed': {
+    status: 404,
+    title: 'Post not found',
+    message: 'This post has been deleted or does not exist',
+    retryable: false,
+  },
+  'geo-blocked': {
+    status: 451,
+    title: 'Not available in this region',
+    message: 'This post is not available in the server\'s region',
+    retryable: false,
+  },
+  'rate-limited': {
+    status: 429,
+    title: 'Rate limited',
+    message: 'The platform is rate limiting requests right now',
+    retryable: true,
+  },
+  'timeout': {
+    status: 504,
+    title: 'Timed out',
+    message: 'The platform took too long to respond',
+    retryable: true,
+  },
+  'no-media': {
+    status: 422,
+    title: 'No media found',
+    message: 'No media could be found in this post',
+    retryable: false,
+  },
+  'not-installed': {
+    status: 503,
+    title: 'Extractor unavailable',
+    message: 'A required extractor is not installed on the server',
+    retryable: false,
+  },
+  'cancelled': {
+    status: 499,
+    title: 'Cancelled',
+    message: 'The extraction was cancelled',
+    retryable: true,
+  },
+  'unknown': {
+    status: 502,
+    title: 'Extraction failed',
+    message: 'Failed to extract content from the URL',
+    retryable: true,
+  },
+};
+
+// Codes that describe the post itself rather than a transient failure
+const TERMINAL_CODES = ['private', 'removed'];
+
+/**
+ * Error raised by extractors and the pipeline
+ */
+class ExtractionError extends Error {
+  /**
+   * @param {string} code - One of ERROR_CODES
+   * @param {object} [options]
+   * @param {string} [options.extractor] - Which extractor failed (ytdlp, browser, ...)
+   * @param {string} [options.message] - Overrides the default user message
+   * @param {string} [options.detail] - Raw detail for logs (stderr, page error)
+   */
+  constructor(code, { extractor = null, message, detail = '' } = {}) {
+    const definition = ERROR_CODES[code] || ERROR_CODES.unknown;
+    super(message || definition.message);
+    this.name = 'ExtractionError';
+    this.code = ERROR_CODES[code] ? code : 'unknown';
+    this.status = definition.status;
+    this.title = definition.title;
+    this.retryable = definition.retryable;
+    this.extractor = extractor;
+    this.detail = detail;
+  }
+
+  /**
+   * Serializable form used in API responses
+   */
+  toJSON() {
+    return {
+      code: this.code,
+      status: this.status,
+      message: this.message,
+      retryable: this.retryable,
+      extractor: this.extractor,
+    };
+  }
+}
+
+/**
+ * Wrap any thrown value as an ExtractionError for the given extractor
+ */
+function toExtractionError(error, extractor) {
+  if (error instanceof ExtractionError) {
+    if (!error.extractor) error.extractor = extractor;
+    return error;
+  }
+  return new ExtractionError('unknown', { extractor, detail: error?.message || String(error) });
+}
+
+/**
+ * Classify a Puppeteer failure (launch, navigation, timeouts)
+ */
+function fromBrowserError(error) {
+  if (error instanceof ExtractionError) {
+    if (!error.extractor) error.extractor = 'browser';
+    return error;
+  }
+
+  const detail = error?.message || String(error);
+  let code = 'unknown';
+  if (error?.name === 'TimeoutError' || /timeout/i.test(detail)) {
+    code = 'timeout';
+  } else if (/could not find (chrome|chromium)|failed to launch/i.test(detail)) {
+    code = 'not-installed';
+  }
+  return new ExtractionError(code, { extractor: 'browser', detail });
+}
+
+/**
+ * Whether an error describes the post itself (deleted, private), meaning
+ * no other extractor or embed could show it either
+ */
+function isTerminal(error) {
+  return TERMINAL_CODES.includes(error.code);
+}
+
+/**
+ * Build the JSON body for an error response
+ */
+function toErrorBody(error) {
+  const extractionError = toExtractionError(error);
+  return {
+    error: extractionError.title,
+    ...extractionError.toJSON(),
+  };
+}
+
+module.exports = {
+  ExtractionError,
+  toExtractionError,
+  fromBrowserError,
+  isTerminal,
+  toErrorBody,
+};
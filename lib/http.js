@@ -0,0 +1,84 @@
+/**
+ * HTTP helpers for extractors that read public JSON or HTML endpoints
+ * Maps network failures and HTTP statuses onto the shared error model
+ */
+
+const { ExtractionError } = require('./errors');
+
+// Per-request timeout (ms)
+const DEFAULT_TIMEOUT = parseInt(process.env.HTTP_TIMEOUT, 10) || 15000;
+
+const USER_AGENT = 'Mozilla/5.0 (compatible; sm-viewer/1.0)';
+
+// Upstream HTTP status -> error code
+const STATUS_CODES = {
+  401: 'login-required',
+  403: 'private',
+  404: 'removed',
+  410: 'removed',
+  429: 'rate-limited',
+};
+
+/**
+ * Fetch a URL, throwing an ExtractionError for network failures and non-2xx responses
+ * @param {string} url
+ * @param {object} options
+ * @param {string} options.extractor - Extractor name reported in errors
+ * @param {AbortSignal} [options.signal] - Cancels the request
+ * @param {number} [options.timeout] - Give up after this many ms
+ * @param {object} [options.headers] - Extra request headers
+ * @param {object} [options.statusCodes] - Extra HTTP status -> error code mappings
+ * @param {string} [options.redirect] - 'manual' returns 3xx responses instead of following them
+ * @returns {Promise<Response>}
+ */
+async function fetchPage(url, { extractor, signal, timeout = DEFAULT_TIMEOUT, headers = {}, statusCodes = {}, redirect = 'follow' } = {}) {
+  const signals = [AbortSignal.timeout(timeout)];
+  if (signal) signals.push(signal);
+
+  let response;
+  try {
+    response = await fetch(url, {
+      headers: { 'User-Agent': USER_AGENT, ...headers },
+      signal: AbortSignal.any(signals),
+      redirect,
+    });
+  } catch (error) {
+    if (signal?.aborted) {
+      throw new ExtractionError('cancelled', { extractor });
+    }
+    const code = error.name === 'TimeoutError' ? 'timeout' : 'unknown';
+    throw new ExtractionError(code, { extractor, detail: `${url}: ${error.cause?.message || error.message}` });
+  }
+
+  const isRedirect = redirect === 'manual' && response.status >= 300 && response.status < 400;
+  if (!response.ok && !isRedirect) {
+    response.body?.cancel().catch(() => {});
+    const code = statusCodes[response.status] || STATUS_CODES[response.status] || 'unknown';
+    throw new ExtractionError(code, { extractor, detail: `${url} returned HTTP ${response.status}` });
+  }
+  return response;
+}
+
+/**
+ * Fetch and parse a JSON endpoint, see fetchPage for options
+ */
+async function fetchJson(url, options = {}) {
+  const response = await fetchPage(url, {
+    ...options,
+    headers: { Accept: 'application/json', ...options.headers },
+  });
+
+  try {
+    return await response.json();
+  } catch (error) {
+    if (options.signal?.aborted) {
+      throw new ExtractionError('cancelled', { extractor: options.extractor });
+    }
+    throw new ExtractionError('unknown', { extractor: options.extractor, detail: `Invalid JSON from ${url}` });
+  }
+}
+
+module.exports = {
+  fetchPage,
+  fetchJson,
+};
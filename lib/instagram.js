@@ -3,58 +3,24 @@
  * Uses Puppeteer to extract media from Instagram posts
  */
 
-const puppeteer = require('puppeteer');
-
-// Regex patterns for Instagram URLs
-const INSTAGRAM_URL_PATTERNS = [
-  /(?:www\.)?instagram\.com\/p\/([A-Za-z0-9_-]+)/i,
-  /(?:www\.)?instagram\.com\/reel\/([A-Za-z0-9_-]+)/i,
-  /(?:www\.)?instagram\.com\/reels\/([A-Za-z0-9_-]+)/i,
-  /(?:www\.)?instagram\.com\/tv\/([A-Za-z0-9_-]+)/i,
-  /(?:www\.)?instagr\.am\/p\/([A-Za-z0-9_-]+)/i,
+const { acquirePage, releasePage } = require('./browserPool');
+const { withSessionRetry } = require('./sessions');
+const { ExtractionError, fromBrowserError } = require('./errors');
+const { parsePlatformUrl } = require('./platforms');
+
+// Messages Instagram shows instead of a post, checked in order
+const PAGE_ERRORS = [
+  { code: 'removed', pattern: /sorry, this page isn.t available|link you followed may be broken|page may have been removed/i },
+  { code: 'private', pattern: /this account is private/i },
+  { code: 'rate-limited', pattern: /please wait a few minutes|try again later/i },
 ];
 
-// Browser instance (reused for performance)
-let browserInstance = null;
-
-/**
- * Get or create browser instance
- */
-async function getBrowser() {
-  if (!browserInstance || !browserInstance.isConnected()) {
-    browserInstance = await puppeteer.launch({
-      headless: true,
-      args: [
-        '--no-sandbox',
-        '--disable-setuid-sandbox',
-        '--disable-dev-shm-usage',
-        '--disable-accelerated-2d-canvas',
-        '--disable-gpu',
-        '--window-size=1920x1080',
-      ],
-    });
-  }
-  return browserInstance;
-}
-
 /**
  * Extract shortcode from an Instagram URL
  */
 function extractShortcode(url) {
-  for (const pattern of INSTAGRAM_URL_PATTERNS) {
-    const match = url.match(pattern);
-    if (match) {
-      return match[1];
-    }
-  }
-  return null;
-}
-
-/**
- * Check if a URL is an Instagram URL
- */
-function isInstagramUrl(url) {
-  return extractShortcode(url) !== null;
+  const parsed = parsePlatformUrl(url);
+  return parsed?.platform === 'instagram' ? parsed.id : null;
 }
 
 /**
@@ -66,10 +32,16 @@ function isReel(url) {
 
 /**
  * Extract content using Puppeteer
+ * @param {string} shortcode
+ * @param {string} originalUrl
+ * @param {object} options
+ * @param {AbortSignal} [options.signal] - Closes the page when aborted
+ * @param {Function} [options.onProgress] - Called with (stage, message) as the page loads
+ * @param {object} [options.session] - Logged-in session whose cookies the page gets
  */
-async function extractWithPuppeteer(shortcode, originalUrl) {
-  const browser = await getBrowser();
-  const page = await browser.newPage();
+async function extractWithPuppeteer(shortcode, originalUrl, { signal, onProgress, session } = {}) {
+  onProgress?.('browser-launching', 'Opening the post in a headless browser');
+  const page = await acquirePage({ signal, cookies: session?.cookies });
 
   // Capture video URLs from network requests
   const capturedVideos = [];
@@ -134,10 +106,25 @@ async function extractWithPuppeteer(shortcode, originalUrl) {
       ? `https://www.instagram.com/reel/${shortcode}/`
       : `https://www.instagram.com/p/${shortcode}/`;
 
-    await page.goto(url, {
+    const response = await page.goto(url, {
       waitUntil: 'networkidle0',
       timeout: 30000,
     });
+    if (response?.status() === 429) {
+      throw new ExtractionError('rate-limited', { extractor: 'browser' });
+    }
+
+    // Instagram redirects anonymous visitors to the login page when it wants a session
+    if (page.url().includes('/accounts/login')) {
+      throw new ExtractionError('login-required', { extractor: 'browser' });
+    }
+    onProgress?.('page-loaded', 'Post page loaded');
+
+    const bodyText = await page.evaluate(() => document.body?.innerText || '');
+    const pageError = PAGE_ERRORS.find(({ pattern }) => pattern.test(bodyText));
+    if (pageError) {
+      throw new ExtractionError(pageError.code, { extractor: 'browser', detail: bodyText.slice(0, 200) });
+    }
 
     // Wait for content to load
     await page.waitForSelector('video, img', { timeout: 10000 }).catch(() => {});
@@ -152,6 +139,10 @@ async function extractWithPuppeteer(shortcode, originalUrl) {
       await new Promise(resolve => setTimeout(resolve, 2000));
     }
 
+    if (capturedVideos.length > 0 || capturedImages.length > 0) {
+      onProgress?.('media-captured', `Captured ${capturedVideos.length} video and ${capturedImages.length} image request(s)`);
+    }
+
     // Extract data from the page
     const data = await page.evaluate((originalUrl) => {
       const result = {
@@ -320,21 +311,24 @@ async function extractWithPuppeteer(shortcode, originalUrl) {
 
     return data;
   } finally {
-    await page.close();
+    await releasePage(page);
   }
 }
 
 /**
  * Extract and normalize Instagram post data
+ * @param {string} url - Post URL
+ * @param {object} [options] - See extractWithPuppeteer
  */
-async function extractInstagramContent(url) {
+async function extractInstagramContent(url, options = {}) {
   const shortcode = extractShortcode(url);
   if (!shortcode) {
-    throw new Error('Invalid Instagram URL');
+    throw new ExtractionError('invalid-url', { extractor: 'browser', message: 'Invalid Instagram URL' });
   }
 
   try {
-    const data = await extractWithPuppeteer(shortcode, url);
+    const data = await withSessionRetry('instagram', session =>
+      extractWithPuppeteer(shortcode, url, { ...options, session }), options);
 
     return {
       platform: 'instagram',
@@ -344,22 +338,16 @@ async function extractInstagramContent(url) {
       originalUrl: url,
     };
   } catch (error) {
-    console.error('Puppeteer extraction failed:', error);
-    throw new Error('Failed to extract Instagram content. The post may be private or unavailable.');
+    // Aborting closes the page, so whatever was running fails with a protocol error
+    const extractionError = options.signal?.aborted
+      ? new ExtractionError('cancelled', { extractor: 'browser' })
+      : fromBrowserError(error);
+    console.error(`Puppeteer extraction failed (${extractionError.code}):`, extractionError.detail || error.message);
+    throw extractionError;
   }
 }
 
-/**
- * Clean up browser on process exit
- */
-process.on('exit', () => {
-  if (browserInstance) {
-    browserInstance.close().catch(() => {});
-  }
-});
-
 module.exports = {
-  isInstagramUrl,
   extractInstagramContent,
   extractShortcode,
 };
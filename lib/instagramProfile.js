@@ -0,0 +1,397 @@
+/**
+ * Instagram profile, stories and highlights extractor
+ * Reads the JSON API Instagram's own web app uses. The first page of a
+ * profile works anonymously; stories, highlights and further pages usually
+ * need a logged-in session, see lib/sessions.js
+ */
+
+const { ExtractionError } = require('./errors');
+const { fetchPage } = require('./http');
+const { withSessionRetry, getCookieHeader } = require('./sessions');
+
+const API_BASE = 'https://www.instagram.com/api/v1';
+
+// The web app's ID, the API refuses requests without it
+const APP_ID = '936619743392459';
+
+const USER_AGENT =
+  'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+
+// Posts per profile page after the first (the first is whatever Instagram sends, usually 12)
+const PAGE_SIZE = parseInt(process.env.INSTAGRAM_PROFILE_PAGE_SIZE, 10) || 12;
+
+// Cursors are the feed API's max_id: <media id>_<user id>
+const CURSOR_PATTERN = /^\d+_\d+$/;
+
+/**
+ * Call the web API, mapping Instagram's failure bodies onto error codes
+ * @param {string} apiPath - Path under /api/v1
+ * @param {object} options
+ * @param {object} [options.session] - Logged-in session to send cookies from
+ * @param {AbortSignal} [options.signal]
+ */
+async function fetchApi(apiPath, { session, signal }) {
+  const url = `${API_BASE}${apiPath}`;
+  const headers = {
+    'User-Agent': USER_AGENT,
+    'Accept': 'application/json',
+    'X-IG-App-ID': APP_ID,
+    'X-Requested-With': 'XMLHttpRequest',
+  };
+  if (session) {
+    headers['Cookie'] = getCookieHeader(session, url);
+  }
+
+  const response = await fetchPage(url, { extractor: 'instagram', signal, headers, redirect: 'manual' });
+
+  // Anonymous requests for login-only data get sent to the login page
+  if (response.status >= 300) {
+    response.body?.cancel().catch(() => {});
+    throw new ExtractionError('login-required', { extractor: 'instagram', detail: `${url} redirected to login` });
+  }
+
+  let data;
+  try {
+    data = await response.json();
+  } catch {
+    if (signal?.aborted) {
+      throw new ExtractionError('cancelled', { extractor: 'instagram' });
+    }
+    throw new ExtractionError('unknown', { extractor: 'instagram', detail: `Invalid JSON from ${url}` });
+  }
+
+  if (data.require_login) {
+    throw new ExtractionError('login-required', { extractor: 'instagram', detail: data.message || url });
+  }
+  if (data.status === 'fail') {
+    const code = /wait a few minutes|try again later/i.test(data.message) ? 'rate-limited' : 'unknown';
+    throw new ExtractionError(code, { extractor: 'instagram', detail: data.message || url });
+  }
+  return data;
+}
+
+/**
+ * Normalize an API user object
+ */
+function toAuthor(user) {
+  return {
+    username: user?.username || '',
+    displayName: user?.full_name || user?.username || '',
+    avatar: user?.profile_pic_url || '',
+    verified: !!user?.is_verified,
+  };
+}
+
+/**
+ * Largest of a list of {url, width, height} renditions
+ */
+function pickLargest(versions) {
+  return [...(versions || [])].sort((a, b) => (b.width || 0) - (a.width || 0))[0] || null;
+}
+
+/**
+ * Media item for a feed API item (a post, carousel child or story)
+ */
+function toMediaItem(item) {
+  const image = pickLargest(item.image_versions2?.candidates);
+  const video = pickLargest(item.video_versions);
+
+  if (video) {
+    return {
+      type: 'video',
+      url: video.url,
+      thumbnail: image?.url || '',
+      width: video.width || null,
+      height: video.height || null,
+      duration: item.video_duration || null,
+      variants: [],
+    };
+  }
+  return {
+    type: 'image',
+    url: image?.url || '',
+    width: image?.width || null,
+    height: image?.height || null,
+  };
+}
+
+/**
+ * Media item for a GraphQL timeline node, as web_profile_info returns them
+ * Anonymous responses often leave video_url out, the thumbnail still shows
+ */
+function toGraphMediaItem(node) {
+  const size = { width: node.dimensions?.width || null, height: node.dimensions?.height || null };
+  if (node.is_video) {
+    return {
+      type: 'video',
+      url: node.video_url || '',
+      thumbnail: node.display_url || '',
+      ...size,
+      duration: node.video_duration || null,
+      variants: [],
+    };
+  }
+  return { type: 'image', url: node.display_url || '', ...size };
+}
+
+/**
+ * Normalize a feed API post
+ */
+function fromApiItem(item) {
+  return {
+    platform: 'instagram',
+    author: toAuthor(item.user),
+    content: {
+      text: item.caption?.text || '',
+      media: (item.carousel_media || [item]).map(toMediaItem).filter(m => m.url),
+    },
+    timestamp: item.taken_at ? new Date(item.taken_at * 1000).toISOString() : '',
+    originalUrl: `https://www.instagram.com/p/${item.code}/`,
+    stats: {
+      replies: item.comment_count || 0,
+      likes: item.like_count || 0,
+      views: item.play_count || item.view_count || 0,
+    },
+  };
+}
+
+/**
+ * Normalize a GraphQL timeline node
+ */
+function fromGraphNode(node, author) {
+  const children = node.edge_sidecar_to_children?.edges?.map(edge => edge.node) || [node];
+  const media = children.map(toGraphMediaItem);
+  return {
+    platform: 'instagram',
+    author,
+    content: {
+      text: node.edge_media_to_caption?.edges?.[0]?.node?.text || '',
+      media,
+    },
+    timestamp: node.taken_at_timestamp ? new Date(node.taken_at_timestamp * 1000).toISOString() : '',
+    originalUrl: `https://www.instagram.com/p/${node.shortcode}/`,
+    stats: {
+      replies: node.edge_media_to_comment?.count || 0,
+      likes: node.edge_liked_by?.count || node.edge_media_preview_like?.count || 0,
+      views: node.video_view_count || 0,
+    },
+    // Videos without a URL need the post itself extracted to play
+    preview: media.some(item => !item.url),
+  };
+}
+
+/**
+ * Normalize a story, which is a post that expires
+ */
+function fromStoryItem(item, author) {
+  return {
+    platform: 'instagram',
+    id: String(item.pk),
+    author,
+    content: {
+      text: '',
+      media: [toMediaItem(item)].filter(m => m.url),
+    },
+    timestamp: item.taken_at ? new Date(item.taken_at * 1000).toISOString() : '',
+    expiresAt: item.expiring_at ? new Date(item.expiring_at * 1000).toISOString() : null,
+    originalUrl: `https://www.instagram.com/stories/${author.username}/${item.pk}/`,
+  };
+}
+
+/**
+ * Look up an account by username
+ */
+async function getUser(username, options) {
+  const data = await fetchApi(`/users/web_profile_info/?username=${encodeURIComponent(username)}`, options);
+  if (!data.data?.user) {
+    throw new ExtractionError('removed', {
+      extractor: 'instagram',
+      message: 'This account does not exist',
+      detail: `No user ${username}`,
+    });
+  }
+  return data.data.user;
+}
+
+/**
+ * An account's highlight reels, or an empty list when they can't be read
+ * Highlights are a nice extra on a profile, not worth failing it over
+ */
+async function getHighlights(userId, { session, signal }) {
+  const run = (withSession) => fetchApi(`/highlights/${userId}/highlights_tray/`, { session: withSession, signal });
+
+  try {
+    const data = session ? await run(session) : await withSessionRetry('instagram', run, { signal });
+
+    return (data.tray || []).map(reel => {
+      const id = String(reel.id).replace(/^highlight:/, '');
+      return {
+        id,
+        title: reel.title || '',
+        cover: reel.cover_media?.cropped_image_version?.url || '',
+        url: `https://www.instagram.com/stories/highlights/${id}/`,
+      };
+    });
+  } catch (error) {
+    if (error.code === 'cancelled') throw error;
+    console.log(`No highlights for Instagram user ${userId}:`, error.detail || error.message);
+    return [];
+  }
+}
+
+/**
+ * The sections of an account app.js links between
+ */
+function getTabs(username) {
+  return [
+    { kind: 'posts', label: 'Posts', url: `https://www.instagram.com/${username}/` },
+    { kind: 'stories', label: 'Stories', url: `https://www.instagram.com/stories/${username}/` },
+  ];
+}
+
+/**
+ * The profile header for an account
+ */
+function toProfile(user, highlights) {
+  const url = `https://www.instagram.com/${user.username}/`;
+  return {
+    ...toAuthor(user),
+    avatar: user.profile_pic_url_hd || user.profile_pic_url || '',
+    bio: user.biography || '',
+    private: !!user.is_private,
+    url,
+    stats: {
+      posts: user.edge_owner_to_timeline_media?.count || 0,
+      followers: user.edge_followed_by?.count || 0,
+      following: user.edge_follow?.count || 0,
+    },
+    highlights,
+    tabs: getTabs(user.username),
+  };
+}
+
+/**
+ * First page of a profile: the header plus the posts web_profile_info includes
+ */
+async function getProfilePage(username, options) {
+  const user = await getUser(username, options);
+  options.onProgress?.('profile-loaded', `Found @${user.username}`);
+
+  const author = toAuthor(user);
+  const timeline = user.edge_owner_to_timeline_media || {};
+  const nodes = (timeline.edges || []).map(edge => edge.node);
+  const last = nodes[nodes.length - 1];
+
+  return {
+    profile: toProfile(user, await getHighlights(user.id, options)),
+    items: nodes.map(node => fromGraphNode(node, author)),
+    cursor: timeline.page_info?.has_next_page && last ? `${last.id}_${user.id}` : null,
+    layout: 'grid',
+  };
+}
+
+/**
+ * A later page of a profile's posts
+ * The header was sent with the first page, so it's left out
+ */
+async function getProfileNextPage(cursor, options) {
+  if (!CURSOR_PATTERN.test(cursor)) {
+    throw new ExtractionError('invalid-url', { extractor: 'instagram', message: 'Invalid page cursor' });
+  }
+
+  const userId = cursor.split('_')[1];
+  const data = await fetchApi(`/feed/user/${userId}/?count=${PAGE_SIZE}&max_id=${cursor}`, options);
+  const items = data.items || [];
+
+  return {
+    profile: null,
+    items: items.map(fromApiItem),
+    cursor: data.more_available && data.next_max_id ? String(data.next_max_id) : null,
+    layout: 'grid',
+  };
+}
+
+/**
+ * Read one reel: a user's current stories or a highlight
+ */
+async function getReel(reelId, options) {
+  const data = await fetchApi(`/feed/reels_media/?reel_ids=${encodeURIComponent(reelId)}`, options);
+  return data.reels?.[reelId] || data.reels_media?.find(reel => String(reel.id) === reelId) || null;
+}
+
+/**
+ * Build a story page from a reel, starting at the linked story when given
+ */
+function toStoryPage(reel, storyId) {
+  const author = toAuthor(reel.user);
+  const items = (reel.items || [])
+    .map(item => fromStoryItem(item, author))
+    .filter(item => item.content.media.length > 0);
+
+  return {
+    profile: { ...author, url: `https://www.instagram.com/${author.username}/`, tabs: getTabs(author.username) },
+    title: reel.title || '',
+    items,
+    startIndex: Math.max(0, items.findIndex(item => item.id === storyId)),
+    cursor: null,
+    layout: 'stories',
+  };
+}
+
+/**
+ * A user's current stories
+ */
+async function getStories(username, storyId, options) {
+  const user = await getUser(username, options);
+  const reel = await getReel(String(user.id), options);
+  if (!reel?.items?.length) {
+    throw new ExtractionError('removed', {
+      extractor: 'instagram',
+      message: storyId ? 'This story has expired or was deleted' : `@${user.username} has no current stories`,
+    });
+  }
+  return toStoryPage(reel, storyId);
+}
+
+/**
+ * A saved highlight reel
+ */
+async function getHighlight(id, options) {
+  const reel = await getReel(`highlight:${id}`, options);
+  if (!reel?.items?.length) {
+    throw new ExtractionError('removed', {
+      extractor: 'instagram',
+      message: 'This highlight was deleted or does not exist',
+    });
+  }
+  return toStoryPage(reel, null);
+}
+
+/**
+ * Extract an Instagram profile page, a user's stories or a highlight
+ * Runs anonymously first and retries with a logged-in session when needed
+ * @param {object} target - From parseProfileUrl(): {kind, username, id}
+ * @param {object} [options]
+ * @param {string} [options.cursor] - Cursor from the previous profile page
+ * @param {AbortSignal} [options.signal] - Cancels the requests
+ * @param {Function} [options.onProgress] - Called with (stage, message)
+ * @returns {Promise<object>} - {profile, items, cursor, layout}, plus title
+ *   and startIndex for stories and highlights
+ */
+function extractInstagramProfile(target, { cursor, signal, onProgress } = {}) {
+  return withSessionRetry('instagram', (session) => {
+    const options = { session, signal, onProgress };
+    switch (target.kind) {
+      case 'stories':
+        return getStories(target.username, target.id, options);
+      case 'highlight':
+        return getHighlight(target.id, options);
+      default:
+        return cursor ? getProfileNextPage(cursor, options) : getProfilePage(target.username, options);
+    }
+  }, { signal, onProgress });
+}
+
+module.exports = {
+  extractInstagramProfile,
+};
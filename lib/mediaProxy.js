@@ -0,0 +1,284 @@
+/**
+ * Media proxy
+ * Streams CDN media through the server with the headers the CDN expects,
+ * using signed, time-limited tokens so it can't be used as an open proxy
+ */
+
+const crypto = require('crypto');
+const { Readable } = require('stream');
+
+// Secret used to sign tokens. Without a configured secret tokens only survive
+// until the process restarts, which is fine for a single instance
+const SECRET = process.env.MEDIA_PROXY_SECRET || crypto.randomBytes(32).toString('hex');
+
+// How long a proxied URL stays valid (seconds)
+const TOKEN_TTL = parseInt(process.env.MEDIA_TOKEN_TTL, 10) || 6 * 60 * 60;
+
+const USER_AGENT =
+  'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+
+// CDN hosts we are willing to proxy, with the Referer each one expects
+const CDN_HOSTS = [
+  { pattern: /(^|\.)twimg\.com$/i, referer: 'https://twitter.com/' },
+  { pattern: /(^|\.)cdninstagram\.com$/i, referer: 'https://www.instagram.com/' },
+  { pattern: /(^|\.)fbcdn\.net$/i, referer: 'https://www.instagram.com/' },
+  { pattern: /(^|\.)(tiktokcdn|tiktokcdn-us|tiktokv|byteoversea|ibytedtos|muscdn)\.com$/i, referer: 'https://www.tiktok.com/' },
+  { pattern: /(^|\.)tiktok\.com$/i, referer: 'https://www.tiktok.com/' },
+  // YouTube stream URLs are locked to the server's IP, so they must be proxied
+  { pattern: /(^|\.)(googlevideo|ytimg)\.com$/i, referer: 'https://www.youtube.com/' },
+  { pattern: /(^|\.)(redd\.it|redditmedia\.com)$/i, referer: 'https://www.reddit.com/' },
+  { pattern: /^cdn\.bsky\.app$/i, referer: 'https://bsky.app/' },
+];
+
+// Redirects followed per media fetch, each one checked against CDN_HOSTS
+const MAX_REDIRECTS = 5;
+
+// Upstream response headers passed through to the client
+const PASSTHROUGH_HEADERS = [
+  'content-type',
+  'content-length',
+  'content-range',
+  'accept-ranges',
+  'last-modified',
+  'etag',
+];
+
+/**
+ * Find the CDN profile for a media URL, or null if the host isn't allowed
+ * @param {string} mediaUrl
+ * @param {object[]} [hosts] - Allowlist to check against, CDN_HOSTS by default
+ */
+function getCdnProfile(mediaUrl, hosts = CDN_HOSTS) {
+  let parsed;
+  try {
+    parsed = new URL(mediaUrl);
+  } catch {
+    return null;
+  }
+  if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') return null;
+  return hosts.find(cdn => cdn.pattern.test(parsed.hostname)) || null;
+}
+
+/**
+ * Sign a payload string
+ */
+function sign(payload) {
+  return crypto.createHmac('sha256', SECRET).update(payload).digest('base64url');
+}
+
+/**
+ * Create a signed token for a media URL
+ */
+function createMediaToken(mediaUrl, ttl = TOKEN_TTL) {
+  const payload = Buffer.from(JSON.stringify({
+    u: mediaUrl,
+    e: Math.floor(Date.now() / 1000) + ttl,
+  })).toString('base64url');
+  return `${payload}.${sign(payload)}`;
+}
+
+/**
+ * Verify a token and return the media URL it was issued for
+ * Throws if the token is malformed, tampered with or expired
+ */
+function verifyMediaToken(token) {
+  const [payload, signature] = String(token).split('.');
+  if (!payload || !signature) {
+    throw new Error('Malformed media token');
+  }
+
+  const expected = Buffer.from(sign(payload));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    throw new Error('Invalid media token');
+  }
+
+  let data;
+  try {
+    data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch {
+    throw new Error('Malformed media token');
+  }
+
+  if (!data.e || data.e < Math.floor(Date.now() / 1000)) {
+    throw new Error('Media token expired');
+  }
+
+  return data.u;
+}
+
+/**
+ * Get the proxied URL for a media URL, or the original URL if its host
+ * isn't one we proxy
+ */
+function getProxyUrl(mediaUrl) {
+  if (!mediaUrl || !getCdnProfile(mediaUrl)) return mediaUrl;
+  return `/api/media/${createMediaToken(mediaUrl)}`;
+}
+
+/**
+ * Get the backend URL serving a subtitle track as WebVTT
+ */
+function getSubtitleUrl(track) {
+  return `/api/subtitles/${createMediaToken(track.url)}?format=${encodeURIComponent(track.format)}`;
+}
+
+/**
+ * Add proxied URLs to every media item in a normalized result,
+ * including nested posts (thread, quoted tweet, replied-to tweet)
+ */
+function attachProxyUrls(result) {
+  for (const post of result?.thread || []) {
+    attachProxyUrls(post);
+  }
+  for (const key of ['quotedTweet', 'inReplyTo']) {
+    if (result?.[key]) attachProxyUrls(result[key]);
+  }
+  if (result?.music?.url) {
+    result.music.proxyUrl = getProxyUrl(result.music.url);
+  }
+
+  const media = result?.content?.media;
+  if (!media) return result;
+
+  for (const item of media) {
+    // Playlists list their segments by relative URL, which only resolve against the CDN
+    item.proxyUrl = item.hls ? item.url : getProxyUrl(item.url);
+    if (item.thumbnail) {
+      item.proxyThumbnail = getProxyUrl(item.thumbnail);
+    }
+    for (const variant of item.variants || []) {
+      variant.proxyUrl = getProxyUrl(variant.url);
+    }
+    // Subtitles are always served by us, <track> needs same-origin WebVTT
+    for (const track of item.subtitles || []) {
+      track.proxyUrl = getSubtitleUrl(track);
+    }
+  }
+  return result;
+}
+
+/**
+ * Fetch media from an allowed CDN with the headers it expects
+ * Redirects are followed by hand so every hop has to be an allowed host too,
+ * otherwise an allowed host could bounce us anywhere
+ * Throws if the host (or a redirect target) isn't one we proxy
+ * @param {string} mediaUrl
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal]
+ * @param {string} [options.range] - Range header to forward
+ * @param {object[]} [options.hosts] - Allowlist for every hop, CDN_HOSTS by default
+ * @returns {Promise<Response>}
+ */
+async function fetchCdnMedia(mediaUrl, { signal, range, hosts = CDN_HOSTS } = {}) {
+  let url = mediaUrl;
+
+  for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+    const profile = getCdnProfile(url, hosts);
+    if (!profile) {
+      throw new Error('Media host is not allowed');
+    }
+
+    const headers = {
+      'User-Agent': USER_AGENT,
+      'Referer': profile.referer,
+      'Accept': '*/*',
+    };
+    if (range) {
+      headers['Range'] = range;
+    }
+
+    const response = await fetch(url, { headers, signal, redirect: 'manual' });
+    const location = response.headers.get('location');
+    if (response.status < 300 || response.status >= 400 || !location) {
+      return response;
+    }
+
+    response.body?.cancel().catch(() => {});
+    url = new URL(location, url).href;
+  }
+  throw new Error('Too many redirects');
+}
+
+/**
+ * Express handler for /api/media/:token
+ * Forwards Range requests so <video> seeking works
+ */
+async function handleMediaRequest(req, res) {
+  let mediaUrl;
+  try {
+    mediaUrl = verifyMediaToken(req.params.token);
+  } catch (error) {
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: error.message,
+    });
+  }
+
+  if (!getCdnProfile(mediaUrl)) {
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: 'Media host is not allowed',
+    });
+  }
+
+  // Stop the upstream download if the client goes away
+  const controller = new AbortController();
+  res.on('close', () => controller.abort());
+
+  let upstream;
+  try {
+    upstream = await fetchCdnMedia(mediaUrl, {
+      signal: controller.signal,
+      range: req.headers.range,
+    });
+  } catch (error) {
+    if (controller.signal.aborted) return;
+    console.error('Media proxy fetch failed:', error.message);
+    return res.status(502).json({
+      error: 'Bad gateway',
+      message: 'Failed to fetch media from the source',
+    });
+  }
+
+  if (!upstream.ok && upstream.status !== 416) {
+    upstream.body?.cancel().catch(() => {});
+    return res.status(upstream.status === 404 ? 404 : 502).json({
+      error: 'Bad gateway',
+      message: `Media source responded with ${upstream.status}`,
+    });
+  }
+
+  res.status(upstream.status);
+  for (const name of PASSTHROUGH_HEADERS) {
+    const value = upstream.headers.get(name);
+    if (value) res.setHeader(name, value);
+  }
+  if (!upstream.headers.get('accept-ranges')) {
+    res.setHeader('Accept-Ranges', 'bytes');
+  }
+  res.setHeader('Cache-Control', 'private, max-age=3600');
+
+  if (!upstream.body) {
+    return res.end();
+  }
+
+  Readable.fromWeb(upstream.body)
+    .on('error', (error) => {
+      if (!controller.signal.aborted) {
+        console.error('Media proxy stream error:', error.message);
+      }
+      res.destroy();
+    })
+    .pipe(res);
+}
+
+module.exports = {
+  CDN_HOSTS,
+  createMediaToken,
+  verifyMediaToken,
+  getProxyUrl,
+  attachProxyUrls,
+  fetchCdnMedia,
+  handleMediaRequest,
+};
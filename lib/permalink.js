@@ -0,0 +1,236 @@
+/**
+ * Server-rendered post pages
+ * Fills the SPA shell with a post card and Open Graph / Twitter Card tags,
+ * so /v/ permalinks unfurl in chat apps and render without JavaScript.
+ * The extraction result is embedded too, and app.js re-renders from it.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getPlatform } = require('./platforms');
+
+const TEMPLATE_PATH = path.join(__dirname, '..', 'public', 'index.html');
+
+// Chat apps cut descriptions off around here anyway
+const DESCRIPTION_LENGTH = 200;
+
+let template = null;
+
+/**
+ * The SPA shell, read once
+ */
+function getTemplate() {
+  if (!template) {
+    template = fs.readFileSync(TEMPLATE_PATH, 'utf8');
+  }
+  return template;
+}
+
+/**
+ * Escape text for HTML content and attribute values
+ */
+function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Serialize a value for an inline <script>, safe against </script> in text
+ */
+function toInlineJson(value) {
+  return JSON.stringify(value)
+    .replace(/</g, '\\u003c')
+    .replace(/\u2028/g, '\\u2028')
+    .replace(/\u2029/g, '\\u2029');
+}
+
+/**
+ * Make a proxy path absolute, crawlers don't resolve relative URLs
+ */
+function absolute(url, origin) {
+  return url?.startsWith('/') ? `${origin}${url}` : url;
+}
+
+/**
+ * Pick the preview image and video for a post
+ */
+function getPreviewMedia(result) {
+  const media = [
+    ...(result.content?.media || []),
+    ...(result.quotedTweet?.content?.media || []),
+  ];
+  const video = media.find(m => m.type === 'video' && m.url && !m.hls);
+  const image = media.find(m => m.type === 'image' && m.url);
+
+  return {
+    video,
+    image: video?.proxyThumbnail || video?.thumbnail || image?.proxyUrl || image?.url || result.author?.avatar || '',
+  };
+}
+
+/**
+ * Build a page title like "Jack (@jack) on Twitter/X"
+ */
+function getPostTitle(result) {
+  const platformName = getPlatform(result.platform)?.name || result.platform;
+  const { displayName, username } = result.author || {};
+  if (!displayName && !username) return `Post on ${platformName}`;
+
+  const byline = displayName && username && displayName !== username
+    ? `${displayName} (@${username})`
+    : displayName || `@${username}`;
+  return `${byline} on ${platformName}`;
+}
+
+/**
+ * Shorten post text for a meta description
+ */
+function getDescription(result) {
+  const text = (result.content?.text || '').replace(/\s+/g, ' ').trim();
+  return text.length > DESCRIPTION_LENGTH
+    ? `${text.slice(0, DESCRIPTION_LENGTH - 1).trimEnd()}…`
+    : text;
+}
+
+/**
+ * Build the Open Graph and Twitter Card meta tags
+ */
+function createMetaTags(result, { origin, permalink }) {
+  const title = getPostTitle(result);
+  const description = getDescription(result);
+  const { video, image } = getPreviewMedia(result);
+
+  const tags = [
+    ['property', 'og:site_name', 'SM Viewer'],
+    ['property', 'og:type', video ? 'video.other' : 'article'],
+    ['property', 'og:title', title],
+    ['property', 'og:description', description],
+    ['property', 'og:url', `${origin}${permalink}`],
+    ['name', 'twitter:card', image ? 'summary_large_image' : 'summary'],
+    ['name', 'twitter:title', title],
+    ['name', 'twitter:description', description],
+  ];
+
+  if (image) {
+    tags.push(['property', 'og:image', absolute(image, origin)]);
+    tags.push(['name', 'twitter:image', absolute(image, origin)]);
+  }
+  if (video) {
+    const videoUrl = absolute(video.proxyUrl || video.url, origin);
+    tags.push(['property', 'og:video', videoUrl]);
+    tags.push(['property', 'og:video:type', 'video/mp4']);
+    if (video.width && video.height) {
+      tags.push(['property', 'og:video:width', String(video.width)]);
+      tags.push(['property', 'og:video:height', String(video.height)]);
+    }
+  }
+
+  return [
+    `<title>${escapeHtml(title)} · SM Viewer</title>`,
+    `<meta name="description" content="${escapeHtml(description)}">`,
+    `<link rel="canonical" href="${escapeHtml(`${origin}${permalink}`)}">`,
+    ...tags.map(([attribute, key, value]) => `<meta ${attribute}="${key}" content="${escapeHtml(value)}">`),
+  ].join('\n  ');
+}
+
+/**
+ * Create the post card shown before app.js takes over
+ * A plain version of the client's card: first media item, no carousel
+ */
+function createPostCardHtml(result) {
+  if (result.embedMode) {
+    return `
+      <div class="embed-container">
+        <a class="embed-original-link" href="${escapeHtml(result.originalUrl)}">
+          Open on ${escapeHtml(getPlatform(result.platform)?.name || result.platform)}
+        </a>
+      </div>
+    `;
+  }
+
+  const { author = {}, content = {}, stats = {} } = result;
+  const item = content.media?.[0];
+  const src = item && (item.proxyUrl || item.url);
+  const poster = item && (item.proxyThumbnail || item.thumbnail);
+
+  let mediaHtml = '';
+  if (item?.type === 'video' && src) {
+    mediaHtml = `<video controls playsinline preload="none" src="${escapeHtml(src)}"${poster ? ` poster="${escapeHtml(poster)}"` : ''}></video>`;
+  } else if (item?.type === 'audio' && src) {
+    mediaHtml = `<audio controls preload="none" src="${escapeHtml(src)}"></audio>`;
+  } else if (src) {
+    mediaHtml = `<img src="${escapeHtml(src)}" alt="Post media">`;
+  }
+
+  const statsHtml = Object.entries({ replies: stats.replies, likes: stats.likes, views: stats.views })
+    .filter(([, value]) => value)
+    .map(([label, value]) => `<span>${value} ${label}</span>`)
+    .join('');
+
+  return `
+    <div class="post-header">
+      ${author.avatar ? `<img class="avatar" src="${escapeHtml(author.avatar)}" alt="">` : '<div class="avatar"></div>'}
+      <div class="author-info">
+        <div class="display-name">${escapeHtml(author.displayName || author.username)}</div>
+        ${author.username ? `<div class="username">@${escapeHtml(author.username)}</div>` : ''}
+      </div>
+    </div>
+    <div class="post-content">
+      ${content.text ? `<p class="post-text">${escapeHtml(content.text)}</p>` : ''}
+      ${mediaHtml ? `<div class="media-container"><div class="media-item">${mediaHtml}</div></div>` : ''}
+    </div>
+    <div class="post-footer">
+      <a class="timestamp" href="${escapeHtml(result.originalUrl)}">View original</a>
+      ${statsHtml ? `<div class="stats">${statsHtml}</div>` : ''}
+    </div>
+  `;
+}
+
+/**
+ * Put the initial state in front of app.js, which renders from it
+ */
+function withInitialState(html, state) {
+  return html.replace('<script src="/app.js">', () =>
+    `<script>window.__INITIAL_STATE__ = ${toInlineJson(state)};</script>\n  <script src="/app.js">`);
+}
+
+/**
+ * Render a permalink page for an extracted post
+ * @param {object} result - Extraction result with proxy URLs attached
+ * @param {object} options
+ * @param {string} options.origin - Public origin, e.g. https://viewer.example
+ * @param {string} options.permalink - Path of this page
+ * @returns {string} - HTML document
+ */
+function renderPostPage(result, { origin, permalink }) {
+  // Replacer functions, post text may contain $& and friends
+  const html = getTemplate()
+    .replace(/<meta name="description"[^>]*>\s*/, '')
+    .replace(/<title>[^<]*<\/title>/, () => createMetaTags(result, { origin, permalink }))
+    .replace(/<article id="content-container"[^>]*>[\s\S]*?<\/article>/, () =>
+      `<article id="content-container" class="content-container">${createPostCardHtml(result)}</article>`);
+  return withInitialState(html, { result });
+}
+
+/**
+ * Render a permalink page for a post that couldn't be extracted
+ * @param {object} errorBody - Error body from toErrorBody()
+ * @returns {string} - HTML document
+ */
+function renderErrorPage(errorBody) {
+  const html = getTemplate()
+    .replace(/<title>[^<]*<\/title>/, () =>
+      `<title>${escapeHtml(errorBody.error)} · SM Viewer</title>\n  <meta name="robots" content="noindex">`)
+    .replace(/<div id="error-container" class="error-container" hidden>\s*<p id="error-message"><\/p>/, () =>
+      `<div id="error-container" class="error-container">\n        <p id="error-message">${escapeHtml(errorBody.message)}</p>`);
+  return withInitialState(html, { error: errorBody });
+}
+
+module.exports = {
+  renderPostPage,
+  renderErrorPage,
+};
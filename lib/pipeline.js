@@ -0,0 +1,394 @@
+/**
+ * Extractor pipeline
+ * Runs an ordered chain of extractors per platform, scores each result for
+ * completeness and returns the best (or merged) result
+ */
+
+const { extractWithYtdlp } = require('./ytdlp');
+const { extractTwitterContent } = require('./twitter');
+const { extractInstagramContent } = require('./instagram');
+const { extractRedditContent } = require('./reddit');
+const { extractBlueskyContent } = require('./bluesky');
+const { extractOpenGraph } = require('./opengraph');
+const { extractTikTokContent } = require('./tiktok');
+const { ExtractionError, toExtractionError, isTerminal } = require('./errors');
+const { getPlatform, getEmbedUrl } = require('./platforms');
+
+// A result scoring at least this much stops the chain early
+const ACCEPT_SCORE = parseInt(process.env.PIPELINE_ACCEPT_SCORE, 10) || 80;
+
+// A result scoring below this is never used, not even for merging
+const MIN_SCORE = parseInt(process.env.PIPELINE_MIN_SCORE, 10) || 40;
+
+/**
+ * Available extractors, keyed by name
+ */
+const EXTRACTORS = {
+  ytdlp: {
+    label: 'yt-dlp',
+    supports: () => true,
+    run: (url, platform, options) => extractWithYtdlp(url, options),
+  },
+  browser: {
+    label: 'Headless browser',
+    supports: (platform) => platform === 'twitter' || platform === 'instagram',
+    run: (url, platform, options) => platform === 'twitter'
+      ? extractTwitterContent(url, options)
+      : extractInstagramContent(url, options),
+  },
+  reddit: {
+    label: 'Reddit API',
+    supports: (platform) => platform === 'reddit',
+    run: (url, platform, options) => extractRedditContent(url, options),
+  },
+  bluesky: {
+    label: 'Bluesky API',
+    supports: (platform) => platform === 'bluesky',
+    run: (url, platform, options) => extractBlueskyContent(url, options),
+  },
+  tiktok: {
+    label: 'TikTok page',
+    supports: (platform) => platform === 'tiktok',
+    run: (url, platform, options) => extractTikTokContent(url, options),
+  },
+  opengraph: {
+    label: 'Page metadata',
+    supports: () => true,
+    run: (url, platform, options) => extractOpenGraph(url, platform, options),
+  },
+  embed: {
+    label: 'Embed',
+    supports: () => true,
+    run: (url, platform) => ({
+      platform: platform,
+      embedMode: true,
+      originalUrl: url,
+      embedUrl: getEmbedUrl(url),
+    }),
+  },
+};
+
+/**
+ * Get the configured extractor order for a platform
+ */
+function getPipeline(platform, options = {}) {
+  const pipeline = getConfiguredPipeline(platform);
+
+  // Only the browser can see a tweet's replies, so run it first for threads
+  if (options.thread && getPlatform(platform)?.supportsThreads && pipeline.includes('browser')) {
+    return ['browser', ...pipeline.filter(name => name !== 'browser')];
+  }
+  return pipeline;
+}
+
+/**
+ * Read the extractor order from the environment, or use the platform's
+ * default, e.g. EXTRACTORS_TWITTER=browser,ytdlp,embed
+ */
+function getConfiguredPipeline(platform) {
+  const configured = process.env[`EXTRACTORS_${platform.toUpperCase()}`];
+  if (!configured) {
+    return getPlatform(platform)?.extractors || ['ytdlp', 'embed'];
+  }
+
+  return configured
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(name => {
+      if (!EXTRACTORS[name]) {
+        console.warn(`Ignoring unknown extractor "${name}" for ${platform}`);
+        return false;
+      }
+      return true;
+    });
+}
+
+// Most informative error codes first, used to pick which failure to report
+const ERROR_PRIORITY = [
+  'removed',
+  'private',
+  'login-required',
+  'geo-blocked',
+  'rate-limited',
+  'timeout',
+  'no-media',
+  'not-installed',
+  'unknown',
+];
+
+/**
+ * Pick the failure that best explains why a post couldn't be extracted
+ */
+function getPrimaryError(errors) {
+  const rank = (error) => {
+    const index = ERROR_PRIORITY.indexOf(error.code);
+    return index === -1 ? ERROR_PRIORITY.length : index;
+  };
+  return [...errors].sort((a, b) => rank(a) - rank(b))[0] || null;
+}
+
+/**
+ * Whether a media item is a video <video> can play from a plain src
+ * HLS playlists only play in some browsers
+ */
+function isPlayableVideo(item) {
+  return item.type === 'video' && !!item.url && !item.hls;
+}
+
+/**
+ * Whether a result's only video is an HLS playlist
+ */
+function hasOnlyStreamVideo(result) {
+  const media = [...(result?.content?.media || []), ...(result?.quotedTweet?.content?.media || [])];
+  return media.some(m => m.hls && m.url) && !media.some(isPlayableVideo);
+}
+
+/**
+ * Score a normalized result for completeness (0-100)
+ * Returns the score and the list of missing pieces
+ */
+function scoreResult(result) {
+  const missing = [];
+  let score = 0;
+
+  // Media in a quoted tweet counts, it's shown inline with the post
+  const media = [
+    ...(result?.content?.media || []),
+    ...(result?.quotedTweet?.content?.media || []),
+  ];
+  if (media.some(isPlayableVideo)) {
+    score += 40;
+  } else if (media.some(m => m.hls && m.url)) {
+    score += 20;
+    missing.push('playable video');
+  } else if (media.some(m => m.url)) {
+    // Image-only posts are legitimate, but could also be a video we failed to resolve
+    score += 20;
+    missing.push('video URL');
+  } else {
+    missing.push('media');
+  }
+
+  if (result?.author?.username || result?.author?.displayName) {
+    score += 20;
+  } else {
+    missing.push('author');
+  }
+
+  if (result?.content?.text) {
+    score += 20;
+  } else {
+    missing.push('text');
+  }
+
+  if (result?.stats && Object.values(result.stats).some(v => v > 0)) {
+    score += 20;
+  } else {
+    missing.push('stats');
+  }
+
+  return { score, missing };
+}
+
+/**
+ * Merge several scored results into one, using the highest scoring result as
+ * the base and filling in whatever it is missing from the others
+ */
+function mergeResults(scored) {
+  const ranked = [...scored].sort((a, b) => b.score - a.score);
+  const base = ranked[0];
+  const merged = {
+    ...base.result,
+    author: { ...base.result.author },
+    content: { ...base.result.content, media: [...(base.result.content?.media || [])] },
+    stats: { ...base.result.stats },
+  };
+  const mergedFrom = [base.extractor];
+
+  for (const { extractor, result } of ranked.slice(1)) {
+    let used = false;
+    const otherMedia = result.content?.media || [];
+
+    const hasVideo = merged.content.media.some(isPlayableVideo);
+    if (!hasVideo && otherMedia.some(isPlayableVideo)) {
+      merged.content.media = [...otherMedia];
+      used = true;
+    } else if (merged.content.media.length === 0 && otherMedia.length > 0) {
+      merged.content.media = [...otherMedia];
+      used = true;
+    }
+
+    for (const key of ['username', 'displayName', 'avatar']) {
+      if (!merged.author[key] && result.author?.[key]) {
+        merged.author[key] = result.author[key];
+        used = true;
+      }
+    }
+    if (!merged.author.verified && result.author?.verified) {
+      merged.author.verified = true;
+    }
+
+    if (!merged.content.text && result.content?.text) {
+      merged.content.text = result.content.text;
+      used = true;
+    }
+
+    if (!merged.timestamp && result.timestamp) {
+      merged.timestamp = result.timestamp;
+      used = true;
+    }
+
+    for (const [key, value] of Object.entries(result.stats || {})) {
+      if (!merged.stats[key] && value) {
+        merged.stats[key] = value;
+        used = true;
+      }
+    }
+
+    // Thread, reply context and TikTok extras only ever come from one extractor
+    for (const key of ['thread', 'retweetedBy', 'inReplyTo', 'music', 'hashtags', 'photoMode']) {
+      if (!merged[key] && result[key]) {
+        merged[key] = result[key];
+        used = true;
+      }
+    }
+
+    // Both may see a quoted tweet, prefer the one with a playable video
+    const hasQuotedVideo = (post) => post?.quotedTweet?.content?.media?.some(isPlayableVideo);
+    if (result.quotedTweet && (!merged.quotedTweet || (!hasQuotedVideo(merged) && hasQuotedVideo(result)))) {
+      merged.quotedTweet = result.quotedTweet;
+      used = true;
+    }
+
+    if (used) mergedFrom.push(extractor);
+  }
+
+  return { result: merged, mergedFrom };
+}
+
+/**
+ * Run the extractor pipeline for a URL
+ * @param {string} url - The URL to extract from
+ * @param {string} platform - Platform detected for the URL
+ * @param {object} [options] - Extraction options passed on to extractors
+ * @param {boolean} [options.thread] - Unroll Twitter self-reply threads
+ * @param {boolean} [options.threadParents] - Include the parent chain in threads
+ * @param {AbortSignal} [options.signal] - Cancels the running extractor and stops the chain
+ * @param {Function} [options.onProgress] - Called with (stage, message) as extractors run
+ * @returns {Promise<object>} - Normalized result with a `pipeline` report
+ */
+async function runPipeline(url, platform, options = {}) {
+  const { signal, onProgress } = options;
+  const stages = [];
+  const usable = [];
+  const errors = [];
+
+  const finish = (result, selected, mergedFrom) => ({
+    ...result,
+    pipeline: {
+      selected,
+      mergedFrom,
+      extractors: stages.filter(s => s.status !== 'skipped').map(s => s.extractor),
+      stages,
+    },
+  });
+
+  for (const name of getPipeline(platform, options)) {
+    const extractor = EXTRACTORS[name];
+
+    if (signal?.aborted) {
+      const error = new ExtractionError('cancelled');
+      error.pipeline = { stages };
+      throw error;
+    }
+
+    if (!extractor.supports(platform)) {
+      stages.push({ extractor: name, status: 'skipped', durationMs: 0, reason: `not supported for ${platform}` });
+      continue;
+    }
+
+    // Embed is terminal: only reached when nothing before it was good enough,
+    // or the only video found is a playlist the browser may not play
+    if (name === 'embed' && usable.length > 0 && !usable.every(({ result }) => hasOnlyStreamVideo(result))) {
+      break;
+    }
+
+    // A deleted or private post won't show up in an embed either
+    if (name === 'embed' && errors.length > 0 && errors.every(isTerminal)) {
+      break;
+    }
+
+    if (name === 'embed') {
+      onProgress?.('embed-fallback', 'Falling back to the official embed');
+    }
+
+    const started = Date.now();
+    let result;
+    try {
+      console.log(`Extracting ${platform} content with ${name}...`);
+      result = await extractor.run(url, platform, options);
+    } catch (error) {
+      const extractionError = toExtractionError(error, name);
+      console.log(`${name} extraction failed (${extractionError.code}):`, extractionError.detail || error.message);
+      errors.push(extractionError);
+      stages.push({
+        extractor: name,
+        status: 'failed',
+        durationMs: Date.now() - started,
+        reason: extractionError.detail || extractionError.message,
+        error: extractionError.toJSON(),
+      });
+
+      // The user gave up, don't move on to the next extractor
+      if (extractionError.code === 'cancelled') {
+        extractionError.pipeline = { stages };
+        throw extractionError;
+      }
+      onProgress?.(`${name}-failed`, `${extractor.label} failed: ${extractionError.message}`);
+      continue;
+    }
+    const durationMs = Date.now() - started;
+
+    if (name === 'embed') {
+      stages.push({ extractor: name, status: 'accepted', durationMs });
+      // Tell the client why it is getting an embed instead of a full post
+      const primary = getPrimaryError(errors);
+      return finish(primary ? { ...result, error: primary.toJSON() } : result, name, [name]);
+    }
+
+    const { score, missing } = scoreResult(result);
+    const stage = { extractor: name, status: 'rejected', durationMs, score };
+    stages.push(stage);
+
+    if (score < MIN_SCORE) {
+      stage.reason = `score ${score} below minimum ${MIN_SCORE} (missing ${missing.join(', ')})`;
+      onProgress?.(`${name}-failed`, `${extractor.label} found too little (missing ${missing.join(', ')})`);
+      continue;
+    }
+
+    usable.push({ extractor: name, result, score });
+
+    // A playlist-only video keeps the chain going, a later extractor may find a file
+    if (score >= ACCEPT_SCORE && !hasOnlyStreamVideo(result)) {
+      stage.status = 'accepted';
+      break;
+    }
+    stage.status = 'partial';
+    stage.reason = `score ${score} below ${ACCEPT_SCORE} (missing ${missing.join(', ')})`;
+  }
+
+  if (usable.length === 0) {
+    const error = getPrimaryError(errors) ||
+      new ExtractionError('no-media', { detail: 'No extractor produced a usable result' });
+    error.pipeline = { stages };
+    throw error;
+  }
+
+  const { result, mergedFrom } = mergeResults(usable);
+  return finish(result, mergedFrom[0], mergedFrom);
+}
+
+module.exports = {
+  runPipeline,
+  scoreResult,
+};
@@ -0,0 +1,37 @@
+/**
+ * Bluesky platform definition
+ */
+
+module.exports = {
+  id: 'bluesky',
+  name: 'Bluesky',
+  hosts: ['bsky.app'],
+  extractors: ['bluesky', 'ytdlp', 'embed'],
+
+  /**
+   * Posts: /profile/<handle or did>/post/<rkey>
+   */
+  parseUrl(url) {
+    const match = url.pathname.match(/^\/profile\/([\w.:-]+)\/post\/(\w+)/);
+    return match ? { username: match[1], id: match[2] } : null;
+  },
+
+  getCanonicalUrl({ username, id }) {
+    return `https://bsky.app/profile/${username}/post/${id}`;
+  },
+
+  // Record keys are only unique per account
+  getPostUrl({ username, id }) {
+    return username ? `https://bsky.app/profile/${username}/post/${id}` : null;
+  },
+
+  getEmbedUrl({ username, id }) {
+    return `https://embed.bsky.app/embed/${username}/app.bsky.feed.post/${id}`;
+  },
+
+  fromYtdlp(info, result) {
+    result.author.username = info.uploader_id || result.author.username;
+    result.author.avatar = '';
+    result.stats.replies = info.comment_count || 0;
+  },
+};
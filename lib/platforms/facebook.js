@@ -0,0 +1,62 @@
+/**
+ * Facebook video platform definition
+ */
+
+module.exports = {
+  id: 'facebook',
+  name: 'Facebook',
+  hosts: ['facebook.com', 'fb.watch'],
+  shortLinkHosts: ['fb.me'],
+  session: { cookie: 'c_user', checkUrl: 'https://www.facebook.com/settings' },
+  extractors: ['ytdlp', 'opengraph', 'embed'],
+
+  /**
+   * Videos and reels: /watch?v=<id>, /<page>/videos/<id>, /reel/<id>,
+   * plus fb.watch/<code> and /share/v|r/<code> links that only resolve by redirect
+   */
+  parseUrl(url) {
+    if (url.hostname.endsWith('fb.watch')) {
+      const match = url.pathname.match(/^\/([\w-]+)\/?$/);
+      return match ? { id: match[1], shortLink: true } : null;
+    }
+
+    const watch = url.pathname.startsWith('/watch') && url.searchParams.get('v');
+    if (watch && /^\d+$/.test(watch)) return { id: watch, kind: 'watch' };
+
+    const reel = url.pathname.match(/^\/reel\/(\d+)/);
+    if (reel) return { id: reel[1], kind: 'reel' };
+
+    const video = url.pathname.match(/^\/([\w.-]+)\/videos\/(?:[\w.-]+\/)?(\d+)/);
+    if (video) return { id: video[2], kind: 'video', page: video[1] };
+
+    const share = url.pathname.match(/^\/share\/[vr]\/([\w-]+)/);
+    return share ? { id: share[1], shortLink: true } : null;
+  },
+
+  getCanonicalUrl({ id, kind, page, shortLink }, url) {
+    if (shortLink) return url.href;
+    if (kind === 'reel') return `https://www.facebook.com/reel/${id}`;
+    if (kind === 'video') return `https://www.facebook.com/${page}/videos/${id}`;
+    return `https://www.facebook.com/watch/?v=${id}`;
+  },
+
+  // Reels and page videos share the watch player's video IDs
+  getPostUrl({ id }) {
+    return `https://www.facebook.com/watch/?v=${id}`;
+  },
+
+  getEmbedUrl(parsed, url) {
+    const href = module.exports.getCanonicalUrl(parsed, url);
+    return `https://www.facebook.com/plugins/video.php?href=${encodeURIComponent(href)}`;
+  },
+
+  /**
+   * Page videos come back with the page name as uploader and no handle
+   */
+  fromYtdlp(info, result) {
+    result.author.username = info.uploader_id || result.author.username;
+    result.author.avatar = '';
+    result.content.text = info.description || info.title || '';
+    result.stats.replies = info.comment_count || 0;
+  },
+};
@@ -0,0 +1,209 @@
+/**
+ * Platform registry
+ * Each platform module declares the hosts it lives on, how to pull a post ID
+ * out of a URL, its canonical and embed URLs and its preferred extractors.
+ * Everything that needs to know "which site is this link from" asks here.
+ */
+
+// id -> platform definition
+const platforms = new Map();
+
+/**
+ * Register a platform definition
+ * @param {object} platform
+ * @param {string} platform.id - Short identifier used in results ('twitter')
+ * @param {string} platform.name - Display name ('Twitter/X')
+ * @param {string[]} platform.hosts - Hostnames, subdomains match too
+ * @param {Function} platform.parseUrl - (URL) => {id, ...} or null
+ * @param {Function} platform.getCanonicalUrl - (parsed, URL) => string
+ * @param {Function} platform.getEmbedUrl - (parsed, URL) => string
+ * @param {string[]} platform.extractors - Default extractor order
+ * @param {string[]} [platform.shortLinkHosts] - Redirector hosts that only lead here (t.co)
+ * @param {object} [platform.session] - Logged-in session support: the cookie
+ *   that carries the login, and optionally a checkUrl that redirects to a
+ *   login page when the session has expired
+ * @param {Function} [platform.getPostUrl] - ({id, username}) => string or null,
+ *   rebuilds a post URL from a /v/ permalink; null when the author is needed
+ * @param {Function} [platform.parseProfileUrl] - (URL) => {kind, username, id} or null,
+ *   for profile, story and highlight links
+ * @param {Function} [platform.fromYtdlp] - (info, result) => void, adjusts
+ *   the generic yt-dlp mapping for fields this platform uses differently
+ */
+function registerPlatform(platform) {
+  for (const key of ['id', 'name', 'hosts', 'parseUrl', 'getCanonicalUrl', 'getEmbedUrl', 'extractors']) {
+    if (!platform[key]) {
+      throw new Error(`Platform "${platform.id}" is missing "${key}"`);
+    }
+  }
+  platforms.set(platform.id, platform);
+}
+
+/**
+ * Whether a hostname is one of the hosts or a subdomain of one
+ */
+function matchesHost(hostname, hosts) {
+  const host = hostname.toLowerCase();
+  return hosts.some(h => host === h || host.endsWith(`.${h}`));
+}
+
+/**
+ * Parse a web URL, or null for anything else
+ */
+function toWebUrl(url) {
+  let parsedUrl;
+  try {
+    parsedUrl = new URL(url);
+  } catch {
+    return null;
+  }
+  if (parsedUrl.protocol !== 'https:' && parsedUrl.protocol !== 'http:') {
+    return null;
+  }
+  return parsedUrl;
+}
+
+/**
+ * Parse a URL into its platform, post ID and canonical URL
+ * @param {string} url
+ * @returns {{platform: string, id: string, canonicalUrl: string}|null}
+ */
+function parsePlatformUrl(url) {
+  const parsedUrl = toWebUrl(url);
+  if (!parsedUrl) return null;
+
+  for (const platform of platforms.values()) {
+    if (!matchesHost(parsedUrl.hostname, platform.hosts)) continue;
+
+    const parsed = platform.parseUrl(parsedUrl);
+    if (parsed) {
+      return {
+        platform: platform.id,
+        ...parsed,
+        canonicalUrl: platform.getCanonicalUrl(parsed, parsedUrl),
+      };
+    }
+  }
+  return null;
+}
+
+/**
+ * Parse a profile, story or highlight URL
+ * Post URLs never match, check parsePlatformUrl() first
+ * @param {string} url
+ * @returns {{platform: string, kind: string, username?: string, id?: string}|null}
+ */
+function parseProfileUrl(url) {
+  const parsedUrl = toWebUrl(url);
+  if (!parsedUrl) return null;
+
+  for (const platform of platforms.values()) {
+    if (!platform.parseProfileUrl || !matchesHost(parsedUrl.hostname, platform.hosts)) continue;
+
+    const parsed = platform.parseProfileUrl(parsedUrl);
+    if (parsed) {
+      return { platform: platform.id, ...parsed };
+    }
+  }
+  return null;
+}
+
+/**
+ * Detect which platform a URL belongs to
+ * @returns {string|null} - Platform ID, or null when unsupported
+ */
+function detectPlatform(url) {
+  return parsePlatformUrl(url)?.platform || null;
+}
+
+/**
+ * Get a platform definition by ID
+ */
+function getPlatform(id) {
+  return platforms.get(id) || null;
+}
+
+/**
+ * All registered platforms, in registration order
+ */
+function getPlatforms() {
+  return [...platforms.values()];
+}
+
+/**
+ * Whether a hostname is a platform's own link shortener
+ */
+function isShortLinkHost(hostname) {
+  return getPlatforms().some(platform => matchesHost(hostname, platform.shortLinkHosts || []));
+}
+
+/**
+ * Get the official embed URL for a post
+ */
+function getEmbedUrl(url) {
+  const parsed = parsePlatformUrl(url);
+  if (!parsed) return url;
+  return getPlatform(parsed.platform).getEmbedUrl(parsed, new URL(url));
+}
+
+/**
+ * Get the viewer permalink path for a post, /v/<platform>/<id>, or
+ * /v/<platform>/<username>/<id> when the ID alone can't find the post
+ * @returns {string|null}
+ */
+function getPermalink(url) {
+  const parsed = parsePlatformUrl(url);
+  const platform = parsed && getPlatform(parsed.platform);
+  if (!platform?.getPostUrl || parsed.shortLink) return null;
+
+  const base = `/v/${platform.id}`;
+  if (platform.getPostUrl({ id: parsed.id })) {
+    return `${base}/${encodeURIComponent(parsed.id)}`;
+  }
+  return parsed.username
+    ? `${base}/${encodeURIComponent(parsed.username)}/${encodeURIComponent(parsed.id)}`
+    : null;
+}
+
+/**
+ * Resolve a permalink back to the post URL it was made from
+ * @returns {string|null} - Null for unknown platforms or IDs that don't parse
+ */
+function getPermalinkTarget(platformId, id, username) {
+  const url = getPlatform(platformId)?.getPostUrl?.({ id, username });
+  const parsed = url && parsePlatformUrl(url);
+  return parsed?.platform === platformId && parsed.id === id ? url : null;
+}
+
+/**
+ * Public description of the registry for the frontend
+ */
+function getPlatformSummaries() {
+  return getPlatforms().map(platform => ({
+    id: platform.id,
+    name: platform.name,
+    hosts: [...platform.hosts, ...(platform.shortLinkHosts || [])],
+  }));
+}
+
+registerPlatform(require('./twitter'));
+registerPlatform(require('./instagram'));
+registerPlatform(require('./tiktok'));
+registerPlatform(require('./youtube'));
+registerPlatform(require('./reddit'));
+registerPlatform(require('./threads'));
+registerPlatform(require('./bluesky'));
+registerPlatform(require('./facebook'));
+
+module.exports = {
+  registerPlatform,
+  parsePlatformUrl,
+  parseProfileUrl,
+  detectPlatform,
+  getPlatform,
+  getPlatforms,
+  isShortLinkHost,
+  getEmbedUrl,
+  getPermalink,
+  getPermalinkTarget,
+  getPlatformSummaries,
+};
@@ -0,0 +1,69 @@
+/**
+ * Instagram platform definition
+ */
+
+// First path segments that are Instagram's own pages, not usernames
+const RESERVED_PATHS = [
+  'p', 'reel', 'reels', 'tv', 'stories', 'explore', 'accounts', 'direct',
+  'about', 'developer', 'legal', 'privacy', 'terms', 'web', 'emails', 'challenge',
+];
+
+module.exports = {
+  id: 'instagram',
+  name: 'Instagram',
+  hosts: ['instagram.com', 'instagr.am'],
+  shortLinkHosts: ['ig.me'],
+  // Logged-out visitors get redirected to /accounts/login
+  session: { cookie: 'sessionid', checkUrl: 'https://www.instagram.com/accounts/edit/' },
+  extractors: ['ytdlp', 'browser', 'embed'],
+
+  /**
+   * Posts, reels and IGTV: /p/<shortcode>, /reel/<shortcode>, /tv/<shortcode>
+   */
+  parseUrl(url) {
+    const match = url.pathname.match(/^\/(p|reels?|tv)\/([A-Za-z0-9_-]+)/i);
+    if (!match) return null;
+    return {
+      id: match[2],
+      kind: match[1].toLowerCase().startsWith('reel') ? 'reel' : 'p',
+    };
+  },
+
+  /**
+   * Profiles /<username>/, stories /stories/<username>/[<id>] and highlights
+   * /stories/highlights/<id>/, or the /s/ share links that encode a highlight
+   */
+  parseProfileUrl(url) {
+    const highlight = url.pathname.match(/^\/stories\/highlights\/(\d+)/);
+    if (highlight) {
+      return { kind: 'highlight', id: highlight[1] };
+    }
+
+    const story = url.pathname.match(/^\/stories\/([\w.]{1,30})(?:\/(\d+))?\/?$/);
+    if (story) {
+      return { kind: 'stories', username: story[1].toLowerCase(), id: story[2] || null };
+    }
+
+    const share = url.pathname.match(/^\/s\/([\w=-]+)/);
+    if (share) {
+      const reel = Buffer.from(share[1], 'base64').toString().match(/^highlight:(\d+)$/);
+      return reel ? { kind: 'highlight', id: reel[1] } : null;
+    }
+
+    const profile = url.pathname.match(/^\/([\w.]{1,30})\/?(?:reels\/?)?$/);
+    if (!profile || RESERVED_PATHS.includes(profile[1].toLowerCase())) return null;
+    return { kind: 'posts', username: profile[1].toLowerCase() };
+  },
+
+  getCanonicalUrl({ id, kind }) {
+    return `https://www.instagram.com/${kind}/${id}/`;
+  },
+
+  getPostUrl({ id }) {
+    return `https://www.instagram.com/p/${id}/`;
+  },
+
+  getEmbedUrl({ id }) {
+    return `https://www.instagram.com/p/${id}/embed/`;
+  },
+};
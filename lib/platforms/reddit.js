@@ -0,0 +1,55 @@
+/**
+ * Reddit platform definition
+ */
+
+module.exports = {
+  id: 'reddit',
+  name: 'Reddit',
+  hosts: ['reddit.com', 'redd.it'],
+  session: { cookie: 'reddit_session' },
+  extractors: ['ytdlp', 'reddit', 'embed'],
+
+  /**
+   * Posts (/r/<sub>/comments/<id>/...), redd.it/<id> short links and the
+   * app's /r/<sub>/s/<code> share links, which only resolve by redirect
+   */
+  parseUrl(url) {
+    if (url.hostname.endsWith('redd.it') && !url.hostname.startsWith('v.') && !url.hostname.startsWith('i.')) {
+      const match = url.pathname.match(/^\/(\w+)\/?$/);
+      return match ? { subreddit: '', id: match[1] } : null;
+    }
+
+    const post = url.pathname.match(/^\/(?:r\/(\w+)\/)?comments\/(\w+)/i);
+    if (post) return { subreddit: post[1] || '', id: post[2] };
+
+    const share = url.pathname.match(/^\/r\/(\w+)\/s\/(\w+)/i);
+    return share ? { subreddit: share[1], id: share[2], shortLink: true } : null;
+  },
+
+  getCanonicalUrl({ subreddit, id, shortLink }, url) {
+    if (shortLink) return url.href;
+    return subreddit
+      ? `https://www.reddit.com/r/${subreddit}/comments/${id}/`
+      : `https://www.reddit.com/comments/${id}/`;
+  },
+
+  getPostUrl({ id }) {
+    return `https://www.reddit.com/comments/${id}/`;
+  },
+
+  getEmbedUrl({ subreddit, id, shortLink }, url) {
+    if (shortLink || !subreddit) return url.href;
+    return `https://embed.reddit.com/r/${subreddit}/comments/${id}/?embed=true`;
+  },
+
+  /**
+   * yt-dlp puts the subreddit in channel_id and self-text in description
+   */
+  fromYtdlp(info, result) {
+    result.author.username = info.uploader || result.author.username;
+    result.author.displayName = info.channel_id ? `r/${info.channel_id}` : result.author.displayName;
+    result.author.avatar = '';
+    result.content.text = [info.title, info.description].filter(Boolean).join('\n\n');
+    result.stats.replies = info.comment_count || 0;
+  },
+};
@@ -0,0 +1,32 @@
+/**
+ * Threads platform definition
+ */
+
+module.exports = {
+  id: 'threads',
+  name: 'Threads',
+  hosts: ['threads.net', 'threads.com'],
+  session: { cookie: 'sessionid' },
+  extractors: ['opengraph', 'embed'],
+
+  /**
+   * Posts: /@<user>/post/<code>
+   */
+  parseUrl(url) {
+    const match = url.pathname.match(/^\/@([\w.]+)\/post\/([\w-]+)/);
+    return match ? { username: match[1], id: match[2] } : null;
+  },
+
+  getCanonicalUrl({ username, id }) {
+    return `https://www.threads.net/@${username}/post/${id}`;
+  },
+
+  // Post codes aren't enough to find a post, the author is part of the URL
+  getPostUrl({ username, id }) {
+    return username ? `https://www.threads.net/@${username}/post/${id}` : null;
+  },
+
+  getEmbedUrl({ username, id }) {
+    return `https://www.threads.net/@${username}/post/${id}/embed`;
+  },
+};
@@ -0,0 +1,81 @@
+/**
+ * TikTok platform definition
+ */
+
+module.exports = {
+  id: 'tiktok',
+  name: 'TikTok',
+  hosts: ['tiktok.com'],
+  session: { cookie: 'sessionid' },
+  extractors: ['ytdlp', 'tiktok', 'embed'],
+
+  /**
+   * Video and photo posts (/@user/video/123), plus short links
+   * (vm.tiktok.com/ZM..., tiktok.com/t/ZT...) which yt-dlp follows itself
+   */
+  parseUrl(url) {
+    const post = url.pathname.match(/^\/@([\w.-]*)\/(video|photo)\/(\d+)/);
+    if (post) {
+      return { username: post[1], id: post[3], kind: post[2] };
+    }
+
+    // Old mobile links: m.tiktok.com/v/123.html
+    const mobile = url.pathname.match(/^\/v\/(\d+)/);
+    if (mobile) {
+      return { username: '', id: mobile[1], kind: 'video' };
+    }
+
+    const short = /^v[mt]\./i.test(url.hostname)
+      ? url.pathname.match(/^\/(\w+)\/?$/)
+      : url.pathname.match(/^\/t\/(\w+)\/?$/);
+    return short ? { id: short[1], shortLink: true } : null;
+  },
+
+  getCanonicalUrl({ username, id, kind, shortLink }, url) {
+    if (shortLink) return url.href;
+    // TikTok redirects /@/video/<id> to the right author
+    return `https://www.tiktok.com/@${username}/${kind}/${id}`;
+  },
+
+  getPostUrl({ username, id }) {
+    return `https://www.tiktok.com/@${username || ''}/video/${id}`;
+  },
+
+  // TikTok's embed player, the same one its oEmbed blockquote loads
+  getEmbedUrl({ id, shortLink }, url) {
+    return shortLink ? url.href : `https://www.tiktok.com/player/v1/${id}?description=1&music_info=1`;
+  },
+
+  /**
+   * yt-dlp puts the handle in uploader (uploader_id is numeric), shares in
+   * repost_count, and the sound in track/artists
+   */
+  fromYtdlp(info, result) {
+    result.author.username = info.uploader || result.author.username;
+    result.author.displayName = info.channel || info.creator || result.author.displayName;
+    result.author.avatar = '';
+
+    result.stats.replies = info.comment_count || 0;
+    result.stats.shares = info.repost_count || 0;
+    delete result.stats.retweets;
+
+    result.hashtags = [...(info.description || '').matchAll(/#([\p{L}\p{N}_]+)/gu)].map(match => match[1]);
+
+    if (info.track) {
+      result.music = {
+        title: info.track,
+        artist: (info.artists || []).join(', ') || info.artist || '',
+        album: info.album || '',
+        url: '',
+        cover: '',
+      };
+    }
+
+    // Photo-mode posts only have an audio track here; drop the cover image so
+    // the result scores low and the page extractor fetches the slides
+    const formats = info.formats || [info];
+    if (!formats.some(format => format.vcodec && format.vcodec !== 'none')) {
+      result.content.media = [];
+    }
+  },
+};
@@ -0,0 +1,50 @@
+/**
+ * Twitter/X platform definition
+ */
+
+// First path segments that are X's own pages, not usernames
+const RESERVED_PATHS = [
+  'home', 'explore', 'search', 'notifications', 'messages', 'settings', 'compose',
+  'i', 'intent', 'share', 'hashtag', 'login', 'logout', 'signup', 'tos', 'privacy',
+];
+
+module.exports = {
+  id: 'twitter',
+  name: 'Twitter/X',
+  hosts: ['twitter.com', 'x.com'],
+  shortLinkHosts: ['t.co'],
+  session: { cookie: 'auth_token' },
+  extractors: ['ytdlp', 'browser', 'embed'],
+  supportsThreads: true,
+
+  /**
+   * Tweet URLs, including the old #! form: /user/status/123
+   */
+  parseUrl(url) {
+    const match = `${url.pathname}${url.hash}`.match(/^\/(?:#!\/)?(\w+)\/status(?:es)?\/(\d+)/i);
+    return match ? { username: match[1], id: match[2] } : null;
+  },
+
+  /**
+   * Profile timelines /<username> and their media tab /<username>/media
+   */
+  parseProfileUrl(url) {
+    const match = url.pathname.match(/^\/(\w{1,15})(\/media)?\/?$/);
+    if (!match || RESERVED_PATHS.includes(match[1].toLowerCase())) return null;
+    return { kind: match[2] ? 'media' : 'posts', username: match[1].toLowerCase() };
+  },
+
+  getCanonicalUrl({ username, id }) {
+    return `https://x.com/${username}/status/${id}`;
+  },
+
+  // x.com/i/status/<id> redirects to the right author
+  getPostUrl({ username, id }) {
+    return `https://x.com/${username || 'i'}/status/${id}`;
+  },
+
+  // The embed widget still expects twitter.com links
+  getEmbedUrl({ username, id }) {
+    return `https://twitter.com/${username}/status/${id}`;
+  },
+};
@@ -0,0 +1,49 @@
+/**
+ * YouTube Shorts platform definition
+ */
+
+module.exports = {
+  id: 'youtube',
+  name: 'YouTube Shorts',
+  hosts: ['youtube.com', 'youtu.be'],
+  session: { cookie: 'SID' },
+  extractors: ['ytdlp', 'embed'],
+
+  /**
+   * Shorts (/shorts/<id>), plus youtu.be/<id> and /watch?v=<id> links to them
+   */
+  parseUrl(url) {
+    const short = url.pathname.match(/^\/shorts\/([\w-]{11})/);
+    if (short) return { id: short[1] };
+
+    if (url.hostname.endsWith('youtu.be')) {
+      const match = url.pathname.match(/^\/([\w-]{11})/);
+      return match ? { id: match[1] } : null;
+    }
+
+    const watch = url.pathname === '/watch' && url.searchParams.get('v');
+    return watch && /^[\w-]{11}$/.test(watch) ? { id: watch } : null;
+  },
+
+  getCanonicalUrl({ id }) {
+    return `https://www.youtube.com/shorts/${id}`;
+  },
+
+  getPostUrl({ id }) {
+    return `https://www.youtube.com/shorts/${id}`;
+  },
+
+  getEmbedUrl({ id }) {
+    return `https://www.youtube.com/embed/${id}`;
+  },
+
+  /**
+   * The Short's caption is its title, uploader_id is the @handle
+   */
+  fromYtdlp(info, result) {
+    result.author.username = (info.uploader_id || '').replace(/^@/, '') || result.author.username;
+    result.author.avatar = '';
+    result.content.text = [info.title, info.description].filter(Boolean).join('\n\n');
+    result.stats.replies = info.comment_count || 0;
+  },
+};
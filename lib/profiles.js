@@ -0,0 +1,56 @@
+/**
+ * Profile extraction
+ * Profile, story and highlight links come back as a header plus a page of
+ * items in the normalized post shape, with a cursor for the next page
+ */
+
+const { extractInstagramProfile } = require('./instagramProfile');
+const { extractTwitterProfile } = require('./twitter');
+const { ExtractionError } = require('./errors');
+
+// Platform -> extractor taking (target, {cursor, signal, onProgress})
+const PROFILE_EXTRACTORS = {
+  instagram: extractInstagramProfile,
+  twitter: extractTwitterProfile,
+};
+
+/**
+ * Cache key for one page of a profile, story reel or highlight
+ */
+function getProfileCacheKey(target, cursor) {
+  const subject = target.kind === 'highlight' ? target.id : `@${target.username}`;
+  const page = cursor ? `:${cursor}` : '';
+  return `${target.platform}:${target.kind}:${subject}${page}`;
+}
+
+/**
+ * Extract one page of a profile, story reel or highlight
+ * @param {object} target - From parseProfileUrl()
+ * @param {object} [options]
+ * @param {string} [options.cursor] - Cursor from the previous page
+ * @param {AbortSignal} [options.signal] - Cancels the extraction
+ * @param {Function} [options.onProgress] - Called with (stage, message)
+ * @returns {Promise<object>} - {type: 'profile', platform, kind, layout, profile, items, cursor, ...}
+ *   where layout is how app.js shows the items: 'grid', 'feed' or 'stories'
+ */
+async function extractProfile(target, options = {}) {
+  const extract = PROFILE_EXTRACTORS[target.platform];
+  if (!extract) {
+    throw new ExtractionError('unsupported', {
+      message: 'Profile links from this site are not supported yet',
+    });
+  }
+
+  const page = await extract(target, options);
+  return {
+    type: 'profile',
+    platform: target.platform,
+    kind: target.kind,
+    ...page,
+  };
+}
+
+module.exports = {
+  extractProfile,
+  getProfileCacheKey,
+};
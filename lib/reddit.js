@@ -0,0 +1,135 @@
+/**
+ * Reddit content extractor
+ * Reads the public JSON view of a post, which covers the image, gallery and
+ * self-text posts yt-dlp has nothing to say about
+ */
+
+const { ExtractionError } = require('./errors');
+const { fetchPage, fetchJson } = require('./http');
+const { parsePlatformUrl } = require('./platforms');
+
+const IMAGE_URL = /\.(jpe?g|png|gif|webp)(\?|$)/i;
+
+/**
+ * Media items for a post: hosted video, gallery, or a single image
+ */
+function getRedditMedia(post) {
+  const thumbnail = post.preview?.images?.[0]?.source?.url || '';
+
+  // The fallback MP4 has no audio track, only the HLS playlist carries sound
+  const video = post.secure_media?.reddit_video || post.media?.reddit_video || post.preview?.reddit_video_preview;
+  if (video?.hls_url && video.has_audio !== false && !video.is_gif) {
+    return [{
+      type: 'video',
+      url: video.hls_url,
+      hls: true,
+      thumbnail,
+      width: video.width || null,
+      height: video.height || null,
+      duration: video.duration || null,
+      variants: [],
+    }];
+  }
+  if (video?.fallback_url) {
+    return [{
+      type: 'video',
+      url: video.fallback_url,
+      thumbnail,
+      width: video.width || null,
+      height: video.height || null,
+      duration: video.duration || null,
+      variants: [],
+    }];
+  }
+
+  if (post.is_gallery && post.gallery_data) {
+    return post.gallery_data.items
+      .map(item => post.media_metadata?.[item.media_id])
+      .filter(meta => meta?.status === 'valid' && meta.s)
+      .map(meta => meta.e === 'AnimatedImage' && meta.s.mp4
+        ? {
+          type: 'video',
+          url: meta.s.mp4,
+          thumbnail: meta.s.gif || '',
+          width: meta.s.x || null,
+          height: meta.s.y || null,
+          duration: null,
+          variants: [],
+        }
+        : {
+          type: 'image',
+          url: meta.s.u || meta.s.gif,
+          width: meta.s.x || null,
+          height: meta.s.y || null,
+        });
+  }
+
+  const linked = post.url_overridden_by_dest || post.url || '';
+  if (post.post_hint === 'image' || IMAGE_URL.test(linked)) {
+    return [{ type: 'image', url: linked, width: null, height: null }];
+  }
+
+  return [];
+}
+
+/**
+ * Extract and normalize a Reddit post
+ * @param {string} url - Post URL
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels the request
+ */
+async function extractRedditContent(url, { signal } = {}) {
+  let parsed = parsePlatformUrl(url);
+  if (parsed?.platform !== 'reddit') {
+    throw new ExtractionError('invalid-url', { extractor: 'reddit', message: 'Invalid Reddit URL' });
+  }
+
+  // Share links (/r/sub/s/code) only tell you the post ID by redirecting
+  if (parsed.shortLink) {
+    const response = await fetchPage(url, { extractor: 'reddit', signal });
+    response.body?.cancel().catch(() => {});
+    parsed = parsePlatformUrl(response.url);
+    if (parsed?.platform !== 'reddit' || parsed.shortLink) {
+      throw new ExtractionError('removed', { extractor: 'reddit', detail: `Share link led to ${response.url}` });
+    }
+  }
+
+  const data = await fetchJson(`https://www.reddit.com/comments/${parsed.id}.json?raw_json=1&limit=1`, {
+    extractor: 'reddit',
+    signal,
+  });
+
+  const post = data?.[0]?.data?.children?.[0]?.data;
+  if (!post) {
+    throw new ExtractionError('removed', { extractor: 'reddit', detail: 'No post in Reddit response' });
+  }
+  if (post.removed_by_category) {
+    throw new ExtractionError('removed', { extractor: 'reddit', detail: `Removed (${post.removed_by_category})` });
+  }
+
+  // Crossposts carry their media on the original post
+  const source = post.crosspost_parent_list?.[0] || post;
+
+  return {
+    platform: 'reddit',
+    author: {
+      username: post.author,
+      displayName: post.subreddit_name_prefixed,
+      avatar: '',
+    },
+    content: {
+      text: [post.title, post.selftext].filter(Boolean).join('\n\n'),
+      media: getRedditMedia(source),
+    },
+    timestamp: post.created_utc ? new Date(post.created_utc * 1000).toISOString() : '',
+    originalUrl: url,
+    stats: {
+      likes: post.score || 0,
+      replies: post.num_comments || 0,
+    },
+  };
+}
+
+module.exports = {
+  extractRedditContent,
+};
@@ -0,0 +1,213 @@
+/**
+ * URL normalization
+ * Strips tracking parameters, follows short links and redirectors (t.co,
+ * vm.tiktok.com, fb.watch, bit.ly) and canonicalizes to a stable post URL,
+ * so detection, caching and extractors all see the same link for a post
+ */
+
+const dns = require('dns').promises;
+const net = require('net');
+const { ExtractionError } = require('./errors');
+const { fetchPage } = require('./http');
+const { parsePlatformUrl, isShortLinkHost } = require('./platforms');
+
+// Maximum redirects followed for one link
+const MAX_HOPS = parseInt(process.env.RESOLVE_MAX_HOPS, 10) || 5;
+
+// Generic shorteners people wrap post links in; platform-specific ones
+// (t.co, ig.me) are declared by each platform
+const SHORTENER_HOSTS = ['bit.ly', 'tinyurl.com', 'buff.ly', 'ow.ly', 'dlvr.it', 'lnkd.in', 'trib.al'];
+
+// Query parameters that only track who shared what, on any site
+const TRACKING_PARAMS = [
+  /^utm_/,
+  /^(fbclid|gclid)$/,
+];
+
+// Share parameters that are only tracking on the site that adds them; the
+// same names can mean something elsewhere (YouTube's t= is the start time)
+const HOST_TRACKING_PARAMS = [
+  { hosts: ['twitter.com', 'x.com'], pattern: /^(s|t|ref_src|ref_url)$/ },
+  { hosts: ['tiktok.com'], pattern: /^(_r|_t|is_from_webapp|sender_device|share_\w+)$/ },
+  { hosts: ['instagram.com', 'threads.net', 'threads.com'], pattern: /^igsh(id)?$/ },
+  { hosts: ['facebook.com', 'fb.watch'], pattern: /^(mibextid|rdid|share_url)$/ },
+  { hosts: ['youtube.com', 'youtu.be'], pattern: /^(si|feature)$/ },
+  { hosts: ['reddit.com'], pattern: /^(ref|ref_source|share_id)$/ },
+  { hosts: ['bsky.app'], pattern: /^ref_src$/ },
+  { hosts: ['spotify.com'], pattern: /^si$/ },
+];
+
+// Addresses a redirect must never lead us to
+const PRIVATE_RANGES = new net.BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+  ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4],
+]) {
+  PRIVATE_RANGES.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+  PRIVATE_RANGES.addSubnet(network, prefix, 'ipv6');
+}
+
+/**
+ * Remove tracking parameters, leaving anything else (YouTube's ?v= and ?t=) alone
+ */
+function stripTrackingParams(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return url;
+  }
+
+  const hostname = parsed.hostname.toLowerCase();
+  const patterns = [
+    ...TRACKING_PARAMS,
+    ...HOST_TRACKING_PARAMS
+      .filter(({ hosts }) => hosts.some(host => hostname === host || hostname.endsWith(`.${host}`)))
+      .map(({ pattern }) => pattern),
+  ];
+
+  for (const key of [...parsed.searchParams.keys()]) {
+    if (patterns.some(pattern => pattern.test(key))) {
+      parsed.searchParams.delete(key);
+    }
+  }
+  return parsed.href;
+}
+
+/**
+ * Whether a URL is worth following: a platform short link, or a redirector
+ */
+function needsResolving(url) {
+  const parsed = parsePlatformUrl(url);
+  if (parsed) return !!parsed.shortLink;
+
+  const hostname = new URL(url).hostname.toLowerCase();
+  return isShortLinkHost(hostname) ||
+    SHORTENER_HOSTS.some(host => hostname === host || hostname.endsWith(`.${host}`));
+}
+
+/**
+ * Refuse to fetch anything that resolves to a private or local address
+ * The check happens before fetch resolves the name again, so a DNS server
+ * answering differently the second time could still slip through
+ */
+async function assertPublicHost(url) {
+  const { protocol, hostname, port } = new URL(url);
+  const blocked = (detail) => new ExtractionError('invalid-url', {
+    extractor: 'resolve',
+    message: 'This link redirects somewhere we won\'t follow',
+    detail,
+  });
+
+  if (protocol !== 'https:' && protocol !== 'http:') {
+    throw blocked(`Unsupported protocol in ${url}`);
+  }
+  if (port && port !== '80' && port !== '443') {
+    throw blocked(`Non-standard port in ${url}`);
+  }
+
+  const host = hostname.replace(/^\[|\]$/g, '');
+  let addresses;
+  try {
+    addresses = net.isIP(host)
+      ? [{ address: host, family: net.isIP(host) }]
+      : await dns.lookup(host, { all: true, verbatim: true });
+  } catch (error) {
+    throw new ExtractionError('invalid-url', { extractor: 'resolve', detail: `${host}: ${error.code || error.message}` });
+  }
+
+  for (const { address, family } of addresses) {
+    if (PRIVATE_RANGES.check(address, family === 6 ? 'ipv6' : 'ipv4')) {
+      throw blocked(`${host} resolves to private address ${address}`);
+    }
+  }
+}
+
+/**
+ * Find the next hop: a Location header, or a meta refresh (t.co serves one)
+ */
+async function getNextHop(response, url) {
+  const location = response.headers.get('location');
+  if (location) {
+    response.body?.cancel().catch(() => {});
+    return new URL(location, url).href;
+  }
+
+  if (!(response.headers.get('content-type') || '').includes('text/html')) {
+    response.body?.cancel().catch(() => {});
+    return null;
+  }
+
+  const html = (await response.text()).slice(0, 64 * 1024);
+  const refresh = html.match(/<meta[^>]+http-equiv=["']?refresh["']?[^>]+content=["']?\d+;\s*url=([^"'>]+)/i);
+  return refresh ? new URL(refresh[1].replace(/&amp;/g, '&'), url).href : null;
+}
+
+/**
+ * Follow redirects until the link identifies a post, with a hop limit
+ */
+async function followRedirects(url, { signal } = {}) {
+  let current = url;
+
+  for (let hop = 0; hop < MAX_HOPS; hop++) {
+    if (!needsResolving(current)) {
+      return current;
+    }
+
+    await assertPublicHost(current);
+
+    let next;
+    try {
+      const response = await fetchPage(current, {
+        extractor: 'resolve',
+        signal,
+        timeout: 10000,
+        redirect: 'manual',
+      });
+      next = await getNextHop(response, current);
+    } catch (error) {
+      if (signal?.aborted) throw error;
+      // yt-dlp follows redirects itself, so extraction can still work
+      console.log(`Could not resolve ${current}:`, error.detail || error.message);
+      return current;
+    }
+
+    if (!next) return current;
+    console.log(`Resolved ${current} to ${next}`);
+    current = stripTrackingParams(next);
+  }
+
+  throw new ExtractionError('invalid-url', {
+    extractor: 'resolve',
+    message: 'This link redirects too many times',
+    detail: `Gave up after ${MAX_HOPS} redirects at ${current}`,
+  });
+}
+
+/**
+ * Normalize a link to the canonical URL of the post it points to
+ * @param {string} url - Link as the user pasted it
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels redirect resolution
+ * @returns {Promise<{url: string, platform: string|null, redirected: boolean}>}
+ *   `url` is the canonical post URL, or the cleaned link when no platform matched
+ */
+async function normalizeUrl(url, { signal } = {}) {
+  const stripped = stripTrackingParams(url);
+  const resolved = await followRedirects(stripped, { signal });
+  const parsed = parsePlatformUrl(resolved);
+
+  return {
+    url: parsed?.canonicalUrl || resolved,
+    platform: parsed?.platform || null,
+    redirected: resolved !== stripped,
+  };
+}
+
+module.exports = {
+  normalizeUrl,
+  stripTrackingParams,
+};
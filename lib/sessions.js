@@ -0,0 +1,399 @@
+/**
+ * Logged-in session store
+ * Operators drop Netscape cookies files (the format yt-dlp and browser
+ * cookie exporters use) into SESSIONS_DIR/<platform>/<name>.txt, or upload
+ * them through the admin API. Extractors run anonymously first and only
+ * retry with a session when a post needs login, rotating between sessions
+ * and retiring the ones that have expired. Cookies never leave the server.
+ */
+
+const fs = require('fs');
+const fsp = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { getPlatform } = require('./platforms');
+const { fetchPage } = require('./http');
+
+// Sessions are off unless a directory is configured
+const SESSIONS_DIR = process.env.SESSIONS_DIR ? path.resolve(process.env.SESSIONS_DIR) : '';
+
+// How often sessions are checked for expiry (ms)
+const CHECK_INTERVAL = parseInt(process.env.SESSION_CHECK_INTERVAL, 10) || 6 * 60 * 60 * 1000;
+
+// How long a rate-limited session sits out of the rotation (ms)
+const COOLDOWN = parseInt(process.env.SESSION_COOLDOWN, 10) || 10 * 60 * 1000;
+
+const SESSION_NAME_PATTERN = /^[\w-]{1,40}$/;
+
+// Errors a logged-in retry might get past
+const LOGIN_ERROR_CODES = ['login-required', 'private'];
+
+const CHECK_USER_AGENT =
+  'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+
+// platform -> [session]
+const sessions = new Map();
+
+/**
+ * Parse a Netscape cookies file
+ * Lines are: domain, include-subdomains, path, secure, expiry, name, value
+ */
+function parseNetscapeCookies(text) {
+  const cookies = [];
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    // curl and yt-dlp mark HttpOnly cookies with a prefix on an otherwise commented line
+    const httpOnly = rawLine.startsWith('#HttpOnly_');
+    const line = httpOnly ? rawLine.slice('#HttpOnly_'.length) : rawLine;
+    if (!line.trim() || line.startsWith('#')) continue;
+
+    const fields = line.split('\t');
+    if (fields.length < 7) continue;
+
+    const [domain, , cookiePath, secure, expires, name, ...value] = fields;
+    cookies.push({
+      domain,
+      path: cookiePath || '/',
+      secure: secure.toUpperCase() === 'TRUE',
+      httpOnly,
+      // 0 means a browser-session cookie
+      expires: parseInt(expires, 10) || -1,
+      name,
+      value: value.join('\t'),
+    });
+  }
+  return cookies;
+}
+
+/**
+ * Expiry of the cookie that carries the login, in ms, or null if it never expires
+ */
+function getLoginExpiry(cookies, platform) {
+  const name = getPlatform(platform)?.session?.cookie;
+  const cookie = cookies.find(c => c.name === name);
+  if (!cookie) return undefined;
+  return cookie.expires > 0 ? cookie.expires * 1000 : null;
+}
+
+/**
+ * Build a session record from a cookies file's contents
+ */
+function createSession(platform, name, text) {
+  const cookies = parseNetscapeCookies(text);
+  const expiresAt = getLoginExpiry(cookies, platform);
+
+  let status = 'unchecked';
+  let lastError = null;
+  if (expiresAt === undefined) {
+    status = 'invalid';
+    lastError = `No ${getPlatform(platform).session.cookie} cookie, not a logged-in session`;
+  } else if (expiresAt && expiresAt < Date.now()) {
+    status = 'expired';
+    lastError = 'Login cookie has expired';
+  }
+
+  return {
+    id: `${platform}/${name}`,
+    platform,
+    name,
+    text,
+    cookies,
+    status,
+    expiresAt,
+    lastError,
+    checkedAt: null,
+    lastUsedAt: 0,
+    coolingUntil: 0,
+    uses: 0,
+  };
+}
+
+/**
+ * Read every cookies file in SESSIONS_DIR, replacing what's loaded
+ */
+function loadSessions() {
+  sessions.clear();
+  if (!SESSIONS_DIR) return;
+
+  for (const platform of fs.readdirSync(SESSIONS_DIR, { withFileTypes: true })) {
+    if (!platform.isDirectory()) continue;
+    if (!getPlatform(platform.name)?.session) {
+      console.warn(`Ignoring sessions for unsupported platform "${platform.name}"`);
+      continue;
+    }
+
+    for (const file of fs.readdirSync(path.join(SESSIONS_DIR, platform.name))) {
+      const name = path.basename(file, '.txt');
+      if (!file.endsWith('.txt') || !SESSION_NAME_PATTERN.test(name)) continue;
+
+      const text = fs.readFileSync(path.join(SESSIONS_DIR, platform.name, file), 'utf8');
+      addSession(createSession(platform.name, name, text));
+    }
+  }
+
+  const total = [...sessions.values()].reduce((sum, list) => sum + list.length, 0);
+  console.log(`Loaded ${total} login sessions from ${SESSIONS_DIR}`);
+}
+
+/**
+ * Add or replace a session in memory
+ */
+function addSession(session) {
+  const list = (sessions.get(session.platform) || []).filter(s => s.name !== session.name);
+  list.push(session);
+  sessions.set(session.platform, list);
+}
+
+/**
+ * Pick a usable session for a platform, least recently used first
+ * @returns {object|null}
+ */
+function acquireSession(platform) {
+  const now = Date.now();
+  const usable = (sessions.get(platform) || [])
+    .filter(s => (s.status === 'active' || s.status === 'unchecked') && s.coolingUntil <= now)
+    .sort((a, b) => a.lastUsedAt - b.lastUsedAt);
+
+  const session = usable[0];
+  if (!session) return null;
+
+  session.lastUsedAt = now;
+  session.uses++;
+  return session;
+}
+
+/**
+ * Record how a logged-in attempt went
+ * A login error means the session no longer works, a rate limit benches it
+ */
+function reportSessionResult(session, error) {
+  if (!error) {
+    session.status = 'active';
+    session.lastError = null;
+  } else if (error.code === 'login-required') {
+    session.status = 'expired';
+    session.lastError = error.detail || error.message;
+    console.warn(`Session ${session.id} looks logged out, taking it out of rotation`);
+  } else if (error.code === 'rate-limited') {
+    session.coolingUntil = Date.now() + COOLDOWN;
+    session.lastError = 'Rate limited';
+  }
+}
+
+/**
+ * Run an extraction anonymously, retrying once with a logged-in session
+ * when the post turns out to need one
+ * @param {string} platform
+ * @param {Function} run - (session or null) => Promise
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal]
+ * @param {Function} [options.onProgress]
+ */
+async function withSessionRetry(platform, run, { signal, onProgress } = {}) {
+  try {
+    return await run(null);
+  } catch (error) {
+    if (signal?.aborted || !LOGIN_ERROR_CODES.includes(error.code)) throw error;
+
+    const session = acquireSession(platform);
+    if (!session) throw error;
+
+    onProgress?.('session-retry', 'Post needs login, retrying with a logged-in session');
+    console.log(`Retrying ${platform} extraction with session ${session.id}`);
+    try {
+      const result = await run(session);
+      reportSessionResult(session, null);
+      return result;
+    } catch (retryError) {
+      if (!signal?.aborted) reportSessionResult(session, retryError);
+      throw retryError;
+    }
+  }
+}
+
+/**
+ * Run a function with the session written to a private temp cookies file
+ * yt-dlp writes its cookie jar back on exit, so each job gets its own copy
+ */
+async function withCookiesFile(session, fn) {
+  if (!session) return fn(null);
+
+  const dir = await fsp.mkdtemp(path.join(os.tmpdir(), 'sm-viewer-cookies-'));
+  const file = path.join(dir, 'cookies.txt');
+  try {
+    await fsp.writeFile(file, session.text, { mode: 0o600 });
+    return await fn(file);
+  } finally {
+    await fsp.rm(dir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Cookie header for a URL from a session's cookies
+ */
+function getCookieHeader(session, url) {
+  const { hostname, pathname } = new URL(url);
+  const now = Date.now() / 1000;
+
+  return session.cookies
+    .filter(c => {
+      const domain = c.domain.replace(/^\./, '');
+      return (hostname === domain || hostname.endsWith(`.${domain}`)) &&
+        pathname.startsWith(c.path) &&
+        (c.expires <= 0 || c.expires > now);
+    })
+    .map(c => `${c.name}=${c.value}`)
+    .join('; ');
+}
+
+/**
+ * Check one session: its login cookie must not have expired, and where the
+ * platform has a page that redirects logged-out visitors, it must not redirect
+ */
+async function checkSession(session) {
+  if (session.status === 'invalid') return session;
+  session.checkedAt = new Date().toISOString();
+
+  if (session.expiresAt && session.expiresAt < Date.now()) {
+    session.status = 'expired';
+    session.lastError = 'Login cookie has expired';
+    return session;
+  }
+
+  const checkUrl = getPlatform(session.platform).session.checkUrl;
+  if (!checkUrl) return session;
+
+  try {
+    const response = await fetchPage(checkUrl, {
+      extractor: 'sessions',
+      headers: {
+        'User-Agent': CHECK_USER_AGENT,
+        'Cookie': getCookieHeader(session, checkUrl),
+      },
+    });
+    response.body?.cancel().catch(() => {});
+
+    if (/\/login/i.test(response.url)) {
+      reportSessionResult(session, { code: 'login-required', message: 'Redirected to the login page' });
+    } else {
+      reportSessionResult(session, null);
+    }
+  } catch (error) {
+    // A failed check says nothing about the session, unless it's a login error
+    if (error.code === 'login-required') {
+      reportSessionResult(session, error);
+    } else {
+      session.lastError = error.detail || error.message;
+    }
+  }
+  return session;
+}
+
+/**
+ * Check every loaded session
+ * @returns {Promise<object[]>} - Session descriptions, see describeSessions()
+ */
+async function checkSessions() {
+  for (const list of sessions.values()) {
+    for (const session of list) {
+      await checkSession(session);
+    }
+  }
+  return describeSessions();
+}
+
+/**
+ * Session details for the admin API, without any cookie values
+ */
+function describeSessions() {
+  return [...sessions.values()].flat().map(session => ({
+    id: session.id,
+    platform: session.platform,
+    name: session.name,
+    status: session.coolingUntil > Date.now() ? 'cooling-down' : session.status,
+    expiresAt: session.expiresAt ? new Date(session.expiresAt).toISOString() : null,
+    checkedAt: session.checkedAt,
+    lastError: session.lastError,
+    uses: session.uses,
+  }));
+}
+
+/**
+ * Store an uploaded cookies file and load it
+ * @returns {object} - The session's description
+ */
+async function saveSession(platform, name, text) {
+  if (!SESSIONS_DIR) {
+    throw new Error('SESSIONS_DIR is not configured');
+  }
+  if (!getPlatform(platform)?.session) {
+    throw new Error(`Logged-in sessions are not supported for "${platform}"`);
+  }
+  if (!SESSION_NAME_PATTERN.test(name)) {
+    throw new Error('Session names may only contain letters, digits, - and _');
+  }
+
+  const session = createSession(platform, name, text);
+  if (session.status === 'invalid') {
+    throw new Error(session.lastError);
+  }
+
+  const dir = path.join(SESSIONS_DIR, platform);
+  await fsp.mkdir(dir, { recursive: true, mode: 0o700 });
+  await fsp.writeFile(path.join(dir, `${name}.txt`), text, { mode: 0o600 });
+  addSession(session);
+  await checkSession(session);
+  return describeSessions().find(s => s.id === session.id);
+}
+
+/**
+ * Remove a session and its cookies file
+ * @returns {Promise<boolean>} - False when there was no such session
+ */
+async function deleteSession(platform, name) {
+  const list = sessions.get(platform) || [];
+  if (!list.some(s => s.name === name)) return false;
+
+  sessions.set(platform, list.filter(s => s.name !== name));
+  await fsp.rm(path.join(SESSIONS_DIR, platform, `${name}.txt`), { force: true });
+  return true;
+}
+
+/**
+ * Session counts for the health endpoint, nothing identifying
+ */
+function getSessionStats() {
+  const stats = {};
+  for (const session of describeSessions()) {
+    stats[session.platform] ??= { total: 0, usable: 0 };
+    stats[session.platform].total++;
+    if (session.status === 'active' || session.status === 'unchecked') {
+      stats[session.platform].usable++;
+    }
+  }
+  return stats;
+}
+
+if (SESSIONS_DIR) {
+  try {
+    loadSessions();
+  } catch (error) {
+    console.error(`Failed to load sessions from ${SESSIONS_DIR}:`, error.message);
+  }
+
+  setInterval(() => {
+    checkSessions().catch(error => console.error('Session check failed:', error.message));
+  }, CHECK_INTERVAL).unref();
+}
+
+module.exports = {
+  withSessionRetry,
+  withCookiesFile,
+  getCookieHeader,
+  loadSessions,
+  checkSessions,
+  describeSessions,
+  saveSession,
+  deleteSession,
+  getSessionStats,
+};
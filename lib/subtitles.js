@@ -0,0 +1,190 @@
+/**
+ * Subtitles and captions
+ * Picks one track per language from yt-dlp's subtitle lists and serves them
+ * as WebVTT, converting other formats with ffmpeg on the way through
+ */
+
+const { spawn } = require('child_process');
+const { CDN_HOSTS, fetchCdnMedia, verifyMediaToken } = require('./mediaProxy');
+
+// Formats we can serve, best first; vtt passes through, the rest go to ffmpeg
+const SUBTITLE_FORMATS = {
+  vtt: null,
+  srt: 'srt',
+  ass: 'ass',
+  ssa: 'ass',
+};
+
+// Subtitle files are small, anything bigger is not a subtitle file
+const MAX_SUBTITLE_BYTES = 2 * 1024 * 1024;
+
+// Hosts subtitle files are fetched from: the media CDNs plus YouTube's caption API
+const SUBTITLE_HOSTS = [
+  ...CDN_HOSTS,
+  { pattern: /^(www\.)?youtube\.com$/i, referer: 'https://www.youtube.com/' },
+];
+
+// How long ffmpeg may take to convert one file (ms)
+const CONVERT_TIMEOUT = 15000;
+
+/**
+ * Pick the best servable format out of one language's format list
+ */
+function pickSubtitleFormat(formats) {
+  const usable = (formats || []).filter(f => f.url && Object.hasOwn(SUBTITLE_FORMATS, f.ext));
+  const order = Object.keys(SUBTITLE_FORMATS);
+  usable.sort((a, b) => order.indexOf(a.ext) - order.indexOf(b.ext));
+  return usable[0] || null;
+}
+
+/**
+ * Build subtitle tracks from a yt-dlp info object
+ * Automatic captions are offered in every language YouTube can translate
+ * to, so only the ones in the video's own language are kept
+ * @returns {Array<{language: string, name: string, format: string, url: string, automatic: boolean}>}
+ */
+function buildSubtitleTracks(info) {
+  const tracks = [];
+
+  const add = (language, formats, automatic) => {
+    const format = pickSubtitleFormat(formats);
+    if (!format || tracks.some(t => t.language === language)) return;
+    tracks.push({
+      language,
+      name: format.name || language,
+      format: format.ext,
+      url: format.url,
+      automatic,
+    });
+  };
+
+  for (const [language, formats] of Object.entries(info.subtitles || {})) {
+    // live_chat is a replay of the chat, not a caption track
+    if (language !== 'live_chat') add(language, formats, false);
+  }
+
+  const original = info.language;
+  for (const [key, formats] of Object.entries(info.automatic_captions || {})) {
+    const language = key.replace(/-orig$/, '');
+    if (key.endsWith('-orig') || (original && language === original)) {
+      add(language, formats, true);
+    }
+  }
+
+  return tracks;
+}
+
+/**
+ * Convert a subtitle file to WebVTT with ffmpeg
+ */
+function convertToWebVtt(input, format) {
+  return new Promise((resolve, reject) => {
+    const child = spawn('ffmpeg', [
+      '-hide_banner',
+      '-loglevel', 'error',
+      '-f', format,
+      '-i', 'pipe:0',
+      '-f', 'webvtt',
+      'pipe:1',
+    ], { stdio: ['pipe', 'pipe', 'pipe'] });
+
+    const stdout = [];
+    let stderr = '';
+    const timer = setTimeout(() => child.kill('SIGKILL'), CONVERT_TIMEOUT);
+
+    child.stdout.on('data', chunk => stdout.push(chunk));
+    child.stderr.on('data', chunk => { stderr = (stderr + chunk).slice(-2000); });
+    child.on('error', (error) => {
+      clearTimeout(timer);
+      reject(error);
+    });
+    child.on('close', (code) => {
+      clearTimeout(timer);
+      if (code === 0) return resolve(Buffer.concat(stdout).toString('utf8'));
+      reject(new Error(stderr.trim() || `ffmpeg exited with code ${code}`));
+    });
+
+    // ffmpeg may exit early on bad input, that error is reported by 'close'
+    child.stdin.on('error', () => {});
+    child.stdin.end(input);
+  });
+}
+
+/**
+ * Download a subtitle file, giving up once it passes MAX_SUBTITLE_BYTES
+ * Every redirect hop has to be an allowed host, like proxied media
+ */
+async function fetchSubtitleFile(subtitleUrl, signal) {
+  const response = await fetchCdnMedia(subtitleUrl, { signal, hosts: SUBTITLE_HOSTS });
+  if (!response.ok || !response.body) {
+    response.body?.cancel().catch(() => {});
+    throw new Error(`Subtitle source responded with ${response.status}`);
+  }
+
+  const tooLarge = () => new Error(`Subtitle file is larger than ${MAX_SUBTITLE_BYTES} bytes`);
+  if (Number(response.headers.get('content-length')) > MAX_SUBTITLE_BYTES) {
+    response.body.cancel().catch(() => {});
+    throw tooLarge();
+  }
+
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of response.body) {
+    size += chunk.length;
+    if (size > MAX_SUBTITLE_BYTES) {
+      // Leaving the loop early cancels the rest of the download
+      throw tooLarge();
+    }
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+/**
+ * Express handler for /api/subtitles/:token?format=<ext>
+ * Tokens are the same signed tokens the media proxy uses
+ */
+async function handleSubtitleRequest(req, res) {
+  let subtitleUrl;
+  try {
+    subtitleUrl = verifyMediaToken(req.params.token);
+  } catch (error) {
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: error.message,
+    });
+  }
+
+  const format = String(req.query.format || 'vtt');
+  if (!Object.hasOwn(SUBTITLE_FORMATS, format)) {
+    return res.status(400).json({
+      error: 'Unsupported format',
+      message: `Subtitles in ${format} format can't be converted`,
+    });
+  }
+
+  const controller = new AbortController();
+  res.on('close', () => controller.abort());
+
+  let vtt;
+  try {
+    const input = await fetchSubtitleFile(subtitleUrl, controller.signal);
+    vtt = SUBTITLE_FORMATS[format] ? await convertToWebVtt(input, SUBTITLE_FORMATS[format]) : input;
+  } catch (error) {
+    if (controller.signal.aborted) return;
+    console.error('Subtitle request failed:', error.detail || error.message);
+    return res.status(502).json({
+      error: 'Bad gateway',
+      message: 'Failed to load subtitles from the source',
+    });
+  }
+
+  res.setHeader('Content-Type', 'text/vtt; charset=utf-8');
+  res.setHeader('Cache-Control', 'private, max-age=3600');
+  res.send(vtt);
+}
+
+module.exports = {
+  buildSubtitleTracks,
+  handleSubtitleRequest,
+};
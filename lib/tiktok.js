@@ -0,0 +1,112 @@
+/**
+ * TikTok content extractor
+ * Reads the post data TikTok embeds in its web page. Used for photo-mode
+ * slideshows, which yt-dlp only sees as an audio track
+ */
+
+const { ExtractionError } = require('./errors');
+const { fetchPage } = require('./http');
+
+const USER_AGENT =
+  'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+
+// TikTok's status codes for a missing post, everything else non-zero is treated as removed
+const PRIVATE_STATUS_CODES = [10222];
+
+/**
+ * Pull the rehydration JSON out of a TikTok page
+ */
+function parsePageData(html) {
+  const match = html.match(/<script id="__UNIVERSAL_DATA_FOR_REHYDRATION__"[^>]*>([\s\S]*?)<\/script>/);
+  if (!match) return null;
+  try {
+    return JSON.parse(match[1]);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Read a count, preferring the string form TikTok uses for large numbers
+ */
+function getCount(item, key) {
+  return Number(item.statsV2?.[key] ?? item.stats?.[key]) || 0;
+}
+
+/**
+ * Extract and normalize a TikTok photo-mode post
+ * @param {string} url - Post URL
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels the request
+ */
+async function extractTikTokContent(url, { signal } = {}) {
+  const response = await fetchPage(url, {
+    extractor: 'tiktok',
+    signal,
+    headers: { 'User-Agent': USER_AGENT, Accept: 'text/html' },
+  });
+
+  const data = parsePageData(await response.text());
+  const detail = data?.__DEFAULT_SCOPE__?.['webapp.video-detail'];
+  if (!detail) {
+    throw new ExtractionError('unknown', { extractor: 'tiktok', detail: 'No post data in TikTok page' });
+  }
+
+  const item = detail.itemInfo?.itemStruct;
+  if (!item) {
+    const code = PRIVATE_STATUS_CODES.includes(detail.statusCode) ? 'private' : 'removed';
+    throw new ExtractionError(code, { extractor: 'tiktok', detail: `TikTok status ${detail.statusCode}` });
+  }
+
+  // Videos need signed URLs only yt-dlp can get, leave them to it (or the embed)
+  const images = item.imagePost?.images || [];
+  if (images.length === 0) {
+    throw new ExtractionError('no-media', { extractor: 'tiktok', detail: 'Not a photo-mode post' });
+  }
+
+  const result = {
+    platform: 'tiktok',
+    author: {
+      username: item.author?.uniqueId || '',
+      displayName: item.author?.nickname || '',
+      avatar: item.author?.avatarThumb || '',
+      verified: !!item.author?.verified,
+    },
+    content: {
+      text: item.desc || '',
+      media: images
+        .map(image => ({
+          type: 'image',
+          url: image.imageURL?.urlList?.[0],
+          width: image.imageWidth || null,
+          height: image.imageHeight || null,
+        }))
+        .filter(image => image.url),
+    },
+    timestamp: item.createTime ? new Date(item.createTime * 1000).toISOString() : '',
+    originalUrl: url,
+    stats: {
+      replies: getCount(item, 'commentCount'),
+      shares: getCount(item, 'shareCount'),
+      likes: getCount(item, 'diggCount'),
+      views: getCount(item, 'playCount'),
+    },
+    photoMode: true,
+    hashtags: (item.textExtra || []).map(tag => tag.hashtagName).filter(Boolean),
+  };
+
+  if (item.music) {
+    result.music = {
+      title: item.music.title || '',
+      artist: item.music.authorName || '',
+      album: item.music.album || '',
+      url: item.music.playUrl || '',
+      cover: item.music.coverThumb || '',
+    };
+  }
+  return result;
+}
+
+module.exports = {
+  extractTikTokContent,
+};
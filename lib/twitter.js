@@ -3,225 +3,607 @@
  * Uses Puppeteer to extract media from tweets
  */
 
-const puppeteer = require('puppeteer');
-
-// Regex patterns for Twitter/X URLs
-const TWITTER_URL_PATTERNS = [
-  /(?:twitter\.com|x\.com)\/(?:#!\/)?(\w+)\/status(?:es)?\/(\d+)/i,
-  /(?:mobile\.twitter\.com|mobile\.x\.com)\/(\w+)\/status(?:es)?\/(\d+)/i,
+const { acquirePage, releasePage } = require('./browserPool');
+const { withSessionRetry } = require('./sessions');
+const { ExtractionError, fromBrowserError } = require('./errors');
+const { parsePlatformUrl } = require('./platforms');
+
+// Limits for thread unrolling
+const THREAD_MAX_POSTS = parseInt(process.env.THREAD_MAX_POSTS, 10) || 25;
+const THREAD_MAX_SCROLLS = 8;
+
+// Posts per profile page, and how far down a timeline we're willing to scroll
+// (later pages reload the profile and scroll past what was already shown)
+const PROFILE_PAGE_SIZE = parseInt(process.env.TWITTER_PROFILE_PAGE_SIZE, 10) || 10;
+const PROFILE_MAX_SCROLLS = parseInt(process.env.TWITTER_PROFILE_MAX_SCROLLS, 10) || 20;
+
+// Profile page cursors are the ID of the last post on the previous page
+const CURSOR_PATTERN = /^\d{1,20}$/;
+
+const USER_AGENT =
+  'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+
+// Messages Twitter shows instead of a tweet, checked in order
+const PAGE_ERRORS = [
+  { code: 'removed', pattern: /this page doesn.t exist|post was deleted|tweet was deleted|this account doesn.t exist|account (no longer exists|is suspended)|suspended account/i },
+  { code: 'private', pattern: /posts are protected|tweets are protected|only approved followers/i },
+  { code: 'login-required', pattern: /age-restricted|sensitive content.*log in|log in to (see|view)/i },
+  { code: 'rate-limited', pattern: /something went wrong\. try reloading|rate limit/i },
 ];
 
-// Browser instance (reused for performance)
-let browserInstance = null;
+/**
+ * Extract tweet ID from a Twitter/X URL
+ */
+function extractTweetId(url) {
+  const parsed = parsePlatformUrl(url);
+  if (parsed?.platform !== 'twitter') return null;
+  return {
+    username: parsed.username,
+    tweetId: parsed.id,
+  };
+}
 
 /**
- * Get or create browser instance
+ * Build normalized variants from captured video.twimg.com .mp4 URLs
+ * Resolution comes from the /vid/<codec>/<width>x<height>/ path segment
  */
-async function getBrowser() {
-  if (!browserInstance || !browserInstance.isConnected()) {
-    browserInstance = await puppeteer.launch({
-      headless: true,
-      args: [
-        '--no-sandbox',
-        '--disable-setuid-sandbox',
-        '--disable-dev-shm-usage',
-        '--disable-accelerated-2d-canvas',
-        '--disable-gpu',
-        '--window-size=1920x1080',
-      ],
+function buildTwitterVariants(urls) {
+  const variants = [];
+
+  for (const url of urls) {
+    const match = url.match(/\/vid\/(?:(\w+)\/)?(?:\d+\/\d+\/)?(\d+)x(\d+)\/[^?]+\.mp4/);
+    if (!match || variants.some(v => v.url === url)) continue;
+
+    const [, codec, width, height] = match;
+    const shortSide = Math.min(parseInt(width, 10), parseInt(height, 10));
+
+    variants.push({
+      id: `${width}x${height}`,
+      url,
+      resolution: `${shortSide}p`,
+      width: parseInt(width, 10),
+      height: parseInt(height, 10),
+      bitrate: null,
+      vcodec: codec || 'avc1',
+      acodec: 'mp4a',
+      container: 'mp4',
+      hasVideo: true,
+      // Twitter serves progressive mp4s, which always carry audio
+      hasAudio: true,
+      filesize: null,
     });
   }
-  return browserInstance;
+
+  variants.sort((a, b) => b.width * b.height - a.width * a.height);
+  return variants;
 }
 
 /**
- * Extract tweet ID from a Twitter/X URL
+ * Scrape every rendered tweet article on the page
+ * Runs inside the browser via page.evaluate, so it can't use outer scope
  */
-function extractTweetId(url) {
-  for (const pattern of TWITTER_URL_PATTERNS) {
-    const match = url.match(pattern);
-    if (match) {
-      return {
-        username: match[1],
-        tweetId: match[2],
+function scrapeArticles() {
+  /**
+   * Scrape one tweet out of `root`, ignoring anything inside `exclude`
+   * (the quoted tweet box, which has its own name, text and media)
+   */
+  function scrapeTweet(root, exclude) {
+    const own = (el) => !exclude || !exclude.contains(el);
+    const find = (selector) => [...root.querySelectorAll(selector)].find(own) || null;
+    const findAll = (selector) => [...root.querySelectorAll(selector)].filter(own);
+
+    const result = {
+      id: '',
+      author: { username: '', displayName: '', avatar: '', verified: false },
+      content: { text: '', media: [] },
+      timestamp: '',
+      stats: { likes: 0, retweets: 0, replies: 0 },
+    };
+
+    // The timestamp links to the tweet's own permalink: /<user>/status/<id>
+    const timeEl = find('time');
+    const permalink = timeEl?.closest('a')?.getAttribute('href') || '';
+    const permalinkMatch = permalink.match(/^\/(\w+)\/status\/(\d+)/);
+    if (permalinkMatch) {
+      result.author.username = permalinkMatch[1];
+      result.id = permalinkMatch[2];
+    }
+
+    // Get display name
+    const displayNameEl = find('[data-testid="User-Name"]');
+    if (displayNameEl) {
+      const spans = displayNameEl.querySelectorAll('span');
+      if (spans.length > 0) {
+        result.author.displayName = spans[0]?.textContent || '';
+      }
+      // Quoted tweets have no permalink, take the @handle from the name block
+      if (!result.author.username) {
+        const handle = displayNameEl.textContent.match(/@(\w+)/);
+        if (handle) result.author.username = handle[1];
+      }
+      // Check for verified badge
+      if (displayNameEl.querySelector('svg[aria-label*="Verified"]')) {
+        result.author.verified = true;
+      }
+    }
+
+    // Get avatar
+    const avatarEl = find('img[src*="profile_images"]');
+    if (avatarEl) {
+      result.author.avatar = avatarEl.getAttribute('src') || '';
+    }
+
+    // Get tweet text
+    const tweetTextEl = find('[data-testid="tweetText"]');
+    if (tweetTextEl) {
+      result.content.text = tweetTextEl.textContent || '';
+    }
+
+    // Get images
+    findAll('img[src*="pbs.twimg.com/media"]').forEach((img) => {
+      let src = img.getAttribute('src') || '';
+      // Get larger version
+      if (src.includes('?format=')) {
+        src = src.replace(/&name=\w+/, '&name=large');
+      } else if (!src.includes('name=')) {
+        src += '?format=jpg&name=large';
+      }
+      result.content.media.push({
+        type: 'image',
+        url: src,
+      });
+    });
+
+    // Get video posters (for video posts)
+    findAll('video').forEach((videoEl) => {
+      result.content.media.push({
+        type: 'video',
+        url: '', // Will be filled from captured requests
+        thumbnail: videoEl.getAttribute('poster') || '',
+      });
+    });
+
+    // Get timestamp
+    if (timeEl) {
+      result.timestamp = timeEl.getAttribute('datetime') || '';
+    }
+
+    // Get stats
+    const statsGroup = find('[role="group"]');
+    if (statsGroup) {
+      const buttons = statsGroup.querySelectorAll('button');
+      buttons.forEach((btn, index) => {
+        const text = btn.textContent || '';
+        const num = parseInt(text.replace(/[^0-9]/g, '')) || 0;
+        if (index === 0) result.stats.replies = num;
+        if (index === 1) result.stats.retweets = num;
+        if (index === 2) result.stats.likes = num;
+      });
+    }
+
+    return result;
+  }
+
+  const articles = document.querySelectorAll('article[data-testid="tweet"], article');
+  const results = [];
+
+  articles.forEach((article) => {
+    // A quoted tweet is a clickable box inside the article with its own author block
+    const quoteEl = [...article.querySelectorAll('div[role="link"]')]
+      .find(el => el.querySelector('[data-testid="User-Name"]')) || null;
+
+    const result = scrapeTweet(article, quoteEl);
+
+    if (quoteEl) {
+      const quoted = scrapeTweet(quoteEl, null);
+      delete quoted.stats;
+      result.quotedTweet = quoted;
+    }
+
+    // "<name> reposted" banner above a retweet
+    const socialContext = article.querySelector('[data-testid="socialContext"]');
+    if (socialContext && /reposted|retweeted/i.test(socialContext.textContent)) {
+      const link = socialContext.closest('a') || socialContext.querySelector('a');
+      result.retweetedBy = {
+        username: link?.getAttribute('href')?.replace(/^\//, '') || '',
+        displayName: socialContext.textContent.replace(/\s*(reposted|retweeted)\s*$/i, '').trim(),
       };
     }
+
+    // "Replying to @user" when the parent tweet isn't rendered above
+    const replyingTo = [...article.querySelectorAll('div')]
+      .find(el => el.children.length > 0 && /^Replying to\s+@/.test(el.textContent));
+    if (replyingTo && !(quoteEl && quoteEl.contains(replyingTo))) {
+      const handle = replyingTo.textContent.match(/@(\w+)/);
+      if (handle) result.replyingTo = handle[1];
+    }
+
+    results.push(result);
+  });
+
+  return results;
+}
+
+/**
+ * Fill video URLs from captured network requests
+ * Posters and videos share a media ID (ext_tw_video_thumb/<id>/ and
+ * ext_tw_video/<id>/), which tells us which video belongs to which tweet
+ */
+function attachCapturedVideos(post, capturedVideos, isFocal) {
+  for (const item of post.content.media) {
+    if (item.type !== 'video' || item.url) continue;
+
+    const thumbMatch = item.thumbnail?.match(/\/(ext_tw_video_thumb|amplify_video_thumb|tweet_video_thumb)\/([\w-]+)/);
+    if (thumbMatch && thumbMatch[1] === 'tweet_video_thumb') {
+      // GIFs are served from a predictable URL
+      item.type = 'gif';
+      item.url = `https://video.twimg.com/tweet_video/${thumbMatch[2]}.mp4`;
+      continue;
+    }
+
+    let candidates = thumbMatch
+      ? capturedVideos.filter(url => url.includes(`/${thumbMatch[2]}/`))
+      : [];
+
+    // Only the focal tweet may fall back to any captured video, it's the one that autoplays
+    if (candidates.length === 0 && isFocal) {
+      candidates = capturedVideos;
+    }
+    if (candidates.length === 0) continue;
+
+    const variants = buildTwitterVariants(candidates);
+
+    // Find the best quality video
+    const bestVideo = variants[0]?.url ||
+                      candidates.find(url => url.includes('720x') || url.includes('1280x')) ||
+                      candidates.find(url => url.includes('.mp4')) ||
+                      candidates[0];
+
+    item.url = bestVideo;
+    item.variants = variants;
+  }
+}
+
+/**
+ * Pick the thread around the focal tweet out of the conversation
+ * Contiguous tweets by the focal tweet's author above and below it form the
+ * self-reply thread; anything above that is the parent chain
+ */
+function buildThread(articles, focalIndex, includeParents) {
+  const author = articles[focalIndex].author.username.toLowerCase();
+  const isSameAuthor = (article) => article.author.username.toLowerCase() === author;
+
+  let start = focalIndex;
+  while (start > 0 && isSameAuthor(articles[start - 1])) start--;
+
+  let end = focalIndex;
+  while (end + 1 < articles.length && isSameAuthor(articles[end + 1])) end++;
+
+  const parents = includeParents
+    ? articles.slice(0, start).map(article => ({ ...article, role: 'parent' }))
+    : [];
+
+  const thread = articles.slice(start, end + 1).map((article, i) => ({
+    ...article,
+    role: 'thread',
+    focal: start + i === focalIndex,
+  }));
+
+  return [...parents, ...thread];
+}
+
+/**
+ * Normalize a scraped article into a post
+ */
+function toPost(article) {
+  const post = {
+    id: article.id,
+    platform: 'twitter',
+    author: article.author,
+    content: article.content,
+    timestamp: article.timestamp,
+    originalUrl: article.id
+      ? `https://x.com/${article.author.username}/status/${article.id}`
+      : `https://x.com/${article.author.username}`,
+    stats: article.stats,
+  };
+  if (article.quotedTweet) post.quotedTweet = toPost(article.quotedTweet);
+  if (article.retweetedBy) post.retweetedBy = article.retweetedBy;
+  if (article.role) post.role = article.role;
+  if (article.focal) post.focal = true;
+  return post;
+}
+
+/**
+ * Scrape the header of a profile page
+ * Runs inside the browser via page.evaluate, so it can't use outer scope
+ */
+function scrapeProfileHeader() {
+  // "1,234", "12.5K", "1.2M Followers"
+  const parseCount = (text) => {
+    const match = (text || '').replace(/,/g, '').match(/([\d.]+)\s*([KMB])?/i);
+    if (!match) return 0;
+    const scale = { K: 1e3, M: 1e6, B: 1e9 }[(match[2] || '').toUpperCase()] || 1;
+    return Math.round(parseFloat(match[1]) * scale);
+  };
+  const linkText = (suffix) => document.querySelector(`a[href$="/${suffix}"]`)?.textContent || '';
+
+  const nameEl = document.querySelector('[data-testid="UserName"]');
+  const handle = nameEl?.textContent.match(/@(\w+)/);
+  // The sticky bar above the banner reads "<name> / 1,234 posts"
+  const postCount = [...document.querySelectorAll('h2 + div')]
+    .find(el => /posts?$/i.test(el.textContent.trim()));
+
+  return {
+    username: handle ? handle[1] : '',
+    displayName: nameEl?.querySelector('span')?.textContent || '',
+    avatar: (document.querySelector('a[href$="/photo"] img')?.getAttribute('src') || '')
+      .replace(/_(normal|bigger|\d+x\d+)\./, '_400x400.'),
+    banner: document.querySelector('a[href$="/header_photo"] img')?.getAttribute('src') || '',
+    bio: document.querySelector('[data-testid="UserDescription"]')?.textContent || '',
+    verified: !!nameEl?.querySelector('svg[aria-label*="Verified"]'),
+    protected: !!nameEl?.querySelector('svg[aria-label*="Protected"]'),
+    stats: {
+      posts: parseCount(postCount?.textContent),
+      followers: parseCount(linkText('verified_followers') || linkText('followers')),
+      following: parseCount(linkText('following')),
+    },
+  };
+}
+
+/**
+ * Scrape the cells of a profile's media tab, one per tweet
+ * Runs inside the browser via page.evaluate, so it can't use outer scope
+ */
+function scrapeMediaGrid() {
+  const cells = [];
+  document.querySelectorAll('a[href*="/status/"]').forEach((link) => {
+    const match = (link.getAttribute('href') || '').match(/^\/(\w+)\/status\/(\d+)\/(photo|video)\//);
+    const img = link.querySelector('img');
+    if (!match || !img || cells.some(cell => cell.id === match[2])) return;
+
+    let src = img.getAttribute('src') || '';
+    const isVideo = match[3] === 'video' || /video_thumb/.test(src);
+    if (!isVideo) {
+      src = src.includes('name=') ? src.replace(/name=\w+/, 'name=large') : `${src}${src.includes('?') ? '&' : '?'}name=large`;
+    }
+    cells.push({ id: match[2], username: match[1], type: isVideo ? 'video' : 'image', src });
+  });
+  return cells;
+}
+
+/**
+ * Normalize a media tab cell into a preview post
+ * Cells only show the first photo or the video's poster, opening the post
+ * extracts the rest
+ */
+function fromMediaCell(cell, author) {
+  const media = cell.type === 'video'
+    ? { type: 'video', url: '', thumbnail: cell.src, variants: [] }
+    : { type: 'image', url: cell.src };
+  return {
+    id: cell.id,
+    platform: 'twitter',
+    author,
+    content: { text: '', media: [media] },
+    timestamp: '',
+    originalUrl: `https://x.com/${cell.username}/status/${cell.id}`,
+    preview: true,
+  };
+}
+
+/**
+ * The profile header, with the timeline and media tabs
+ */
+function toProfile(header, username) {
+  const url = `https://x.com/${header.username || username}`;
+  return {
+    username: header.username || username,
+    displayName: header.displayName || header.username || username,
+    avatar: header.avatar,
+    banner: header.banner,
+    bio: header.bio,
+    verified: header.verified,
+    private: header.protected,
+    url,
+    stats: header.stats,
+    tabs: [
+      { kind: 'posts', label: 'Posts', url },
+      { kind: 'media', label: 'Media', url: `${url}/media` },
+    ],
+  };
+}
+
+/**
+ * Scroll a timeline, collecting entries after the cursor
+ * The timeline is virtualized and has no usable page tokens, so each page
+ * reloads the profile and scrolls past the entries already sent
+ * @param {import('puppeteer').Page} page
+ * @param {Function} scrape - scrapeArticles or scrapeMediaGrid
+ * @param {object} options
+ * @param {string} [options.cursor] - ID of the last entry already sent
+ * @param {number} options.limit - Entries to collect
+ */
+async function collectTimeline(page, scrape, { cursor, limit }) {
+  const seen = new Set();
+  const entries = [];
+  let pastCursor = !cursor;
+
+  for (let i = 0; i <= PROFILE_MAX_SCROLLS && entries.length < limit; i++) {
+    if (i > 0) {
+      await page.evaluate(() => window.scrollBy(0, window.innerHeight * 2));
+      await new Promise(resolve => setTimeout(resolve, 1500));
+    }
+
+    const found = (await page.evaluate(scrape)).filter(entry => entry.id && !seen.has(entry.id));
+    if (found.length === 0 && i > 0) break;
+
+    for (const entry of found) {
+      seen.add(entry.id);
+      if (!pastCursor) {
+        pastCursor = entry.id === cursor;
+      } else if (entries.length < limit) {
+        entries.push(entry);
+      }
+    }
+  }
+  return entries;
+}
+
+/**
+ * Load an x.com page, collecting the video URLs it requests
+ * @param {import('puppeteer').Page} page
+ * @param {string} url
+ * @param {string[]} capturedVideos - Video URLs are pushed here as they load
+ */
+async function openPage(page, url, capturedVideos) {
+  // Listen for video URLs in network requests
+  await page.setRequestInterception(true);
+  page.on('request', (request) => {
+    const requestUrl = request.url();
+    if (requestUrl.includes('.mp4') || requestUrl.includes('video.twimg.com')) {
+      capturedVideos.push(requestUrl);
+    }
+    request.continue();
+  });
+
+  await page.setUserAgent(USER_AGENT);
+
+  const response = await page.goto(url, {
+    waitUntil: 'networkidle2',
+    timeout: 30000,
+  });
+  if (response?.status() === 429) {
+    throw new ExtractionError('rate-limited', { extractor: 'browser' });
+  }
+
+  // Logged-out visitors get sent to the login flow for some pages
+  if (/^\/(i\/flow\/)?login/.test(new URL(page.url()).pathname)) {
+    throw new ExtractionError('login-required', { extractor: 'browser' });
   }
-  return null;
 }
 
 /**
- * Check if a URL is a Twitter/X URL
+ * Work out from the page text why nothing rendered
+ * @returns {Promise<ExtractionError>}
  */
-function isTwitterUrl(url) {
-  return extractTweetId(url) !== null;
+async function getPageError(page) {
+  const bodyText = await page.evaluate(() => document.body?.innerText || '');
+  const pageError = PAGE_ERRORS.find(({ pattern }) => pattern.test(bodyText));
+  return new ExtractionError(pageError ? pageError.code : 'unknown', {
+    extractor: 'browser',
+    detail: bodyText.slice(0, 200),
+  });
 }
 
 /**
  * Extract content using Puppeteer
+ * @param {string} username
+ * @param {string} tweetId
+ * @param {object} options
+ * @param {boolean} [options.thread] - Also collect the author's self-reply thread
+ * @param {boolean} [options.threadParents] - Include the parent chain in the thread
+ * @param {AbortSignal} [options.signal] - Closes the page when aborted
+ * @param {Function} [options.onProgress] - Called with (stage, message) as the page loads
+ * @param {object} [options.session] - Logged-in session whose cookies the page gets
  */
-async function extractWithPuppeteer(username, tweetId) {
-  const browser = await getBrowser();
-  const page = await browser.newPage();
+async function extractWithPuppeteer(username, tweetId, { thread = false, threadParents = false, signal, onProgress, session } = {}) {
+  onProgress?.('browser-launching', 'Opening the tweet in a headless browser');
+  const page = await acquirePage({ signal, cookies: session?.cookies });
 
   // Capture video URLs from network requests
   const capturedVideos = [];
 
   try {
-    // Listen for video URLs in network requests
-    await page.setRequestInterception(true);
-    page.on('request', (request) => {
-      const url = request.url();
-      if (url.includes('.mp4') || url.includes('video.twimg.com')) {
-        capturedVideos.push(url);
-      }
-      request.continue();
-    });
-
-    // Set user agent
-    await page.setUserAgent(
-      'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
-    );
-
-    // Navigate to the tweet
-    const url = `https://twitter.com/${username}/status/${tweetId}`;
-    await page.goto(url, {
-      waitUntil: 'networkidle2',
-      timeout: 30000,
-    });
+    await openPage(page, `https://twitter.com/${username}/status/${tweetId}`, capturedVideos);
+    onProgress?.('page-loaded', 'Tweet page loaded');
 
     // Wait for content to load
-    await page.waitForSelector('article', { timeout: 10000 }).catch(() => {});
+    const article = await page.waitForSelector('article', { timeout: 10000 }).catch(() => null);
+
+    // No tweet rendered, find out why from the page text
+    if (!article) {
+      throw await getPageError(page);
+    }
 
     // Give time for videos to start loading
     await new Promise(resolve => setTimeout(resolve, 2000));
 
-    // Extract data from the page
-    const data = await page.evaluate(() => {
-      const result = {
-        author: { username: '', displayName: '', avatar: '', verified: false },
-        content: { text: '', media: [] },
-        timestamp: '',
-        stats: { likes: 0, retweets: 0, replies: 0 },
-      };
+    // Extract data from the page. On a reply, parent tweets render above the
+    // requested one, so find it by ID rather than taking the first article
+    const articles = await page.evaluate(scrapeArticles);
+    let focalIndex = articles.findIndex(a => a.id === tweetId);
+    if (focalIndex === -1) focalIndex = 0;
 
-      // Find the main tweet article
-      const article = document.querySelector('article');
-      if (!article) return result;
+    // Replies are virtualized, scroll down and collect until the author's thread ends
+    if (thread) {
+      const focalAuthor = articles[focalIndex].author.username.toLowerCase();
 
-      // Get author info
-      const userLink = article.querySelector('a[href*="/status/"]')?.closest('div')?.parentElement?.querySelector('a[href^="/"]');
-      if (userLink) {
-        const href = userLink.getAttribute('href');
-        result.author.username = href?.replace('/', '') || '';
-      }
-
-      // Get display name
-      const displayNameEl = article.querySelector('[data-testid="User-Name"]');
-      if (displayNameEl) {
-        const spans = displayNameEl.querySelectorAll('span');
-        if (spans.length > 0) {
-          result.author.displayName = spans[0]?.textContent || '';
-        }
-        // Check for verified badge
-        if (displayNameEl.querySelector('svg[aria-label*="Verified"]')) {
-          result.author.verified = true;
-        }
-      }
-
-      // Get avatar
-      const avatarEl = article.querySelector('img[src*="profile_images"]');
-      if (avatarEl) {
-        result.author.avatar = avatarEl.getAttribute('src') || '';
-      }
+      for (let i = 0; i < THREAD_MAX_SCROLLS && articles.length < THREAD_MAX_POSTS; i++) {
+        await page.evaluate(() => window.scrollBy(0, window.innerHeight * 2));
+        await new Promise(resolve => setTimeout(resolve, 1500));
 
-      // Get tweet text
-      const tweetTextEl = article.querySelector('[data-testid="tweetText"]');
-      if (tweetTextEl) {
-        result.content.text = tweetTextEl.textContent || '';
-      }
-
-      // Get images
-      const imageEls = article.querySelectorAll('img[src*="pbs.twimg.com/media"]');
-      imageEls.forEach((img) => {
-        let src = img.getAttribute('src') || '';
-        // Get larger version
-        if (src.includes('?format=')) {
-          src = src.replace(/&name=\w+/, '&name=large');
-        } else if (!src.includes('name=')) {
-          src += '?format=jpg&name=large';
-        }
-        result.content.media.push({
-          type: 'image',
-          url: src,
-        });
-      });
+        const more = (await page.evaluate(scrapeArticles))
+          .filter(a => a.id && !articles.some(existing => existing.id === a.id));
+        if (more.length === 0) break;
+        articles.push(...more);
 
-      // Get video poster (for video posts)
-      const videoEl = article.querySelector('video');
-      if (videoEl) {
-        const poster = videoEl.getAttribute('poster');
-        result.content.media.push({
-          type: 'video',
-          url: '', // Will be filled from captured requests
-          thumbnail: poster || '',
-        });
+        if (more.some(a => a.author.username.toLowerCase() !== focalAuthor)) break;
       }
+    }
 
-      // Get timestamp
-      const timeEl = article.querySelector('time');
-      if (timeEl) {
-        result.timestamp = timeEl.getAttribute('datetime') || '';
-      }
+    if (capturedVideos.length > 0) {
+      onProgress?.('media-captured', `Captured ${capturedVideos.length} video request(s)`);
+    }
 
-      // Get stats
-      const statsGroup = article.querySelector('[role="group"]');
-      if (statsGroup) {
-        const buttons = statsGroup.querySelectorAll('button');
-        buttons.forEach((btn, index) => {
-          const text = btn.textContent || '';
-          const num = parseInt(text.replace(/[^0-9]/g, '')) || 0;
-          if (index === 0) result.stats.replies = num;
-          if (index === 1) result.stats.retweets = num;
-          if (index === 2) result.stats.likes = num;
-        });
+    const posts = thread ? buildThread(articles, focalIndex, threadParents) : [articles[focalIndex]];
+    for (const post of posts) {
+      attachCapturedVideos(post, capturedVideos, post === articles[focalIndex] || post.focal);
+      if (post.quotedTweet) {
+        attachCapturedVideos(post.quotedTweet, capturedVideos, false);
       }
+    }
 
-      return result;
-    });
+    const data = posts.find(p => p.focal) || posts[0];
 
-    // Add captured video URLs to media
-    if (capturedVideos.length > 0 && data.content.media.some(m => m.type === 'video')) {
-      // Find the best quality video
-      const bestVideo = capturedVideos.find(url => url.includes('720x') || url.includes('1280x')) ||
-                        capturedVideos.find(url => url.includes('.mp4')) ||
-                        capturedVideos[0];
+    // The tweet rendered right above the requested one is the tweet it replies to
+    if (focalIndex > 0 && articles[focalIndex - 1].id) {
+      data.inReplyTo = toPost(articles[focalIndex - 1]);
+    } else if (data.replyingTo) {
+      data.inReplyTo = {
+        platform: 'twitter',
+        author: { username: data.replyingTo, displayName: '', avatar: '' },
+        content: { text: '', media: [] },
+        originalUrl: `https://x.com/${data.replyingTo}`,
+      };
+    }
 
-      const videoMedia = data.content.media.find(m => m.type === 'video');
-      if (videoMedia && bestVideo) {
-        videoMedia.url = bestVideo;
-      }
+    if (thread) {
+      data.thread = posts.map(toPost);
     }
 
     return data;
   } finally {
-    await page.close();
+    await releasePage(page);
   }
 }
 
 /**
  * Extract and normalize tweet data
+ * @param {string} url - Tweet URL
+ * @param {object} [options] - See extractWithPuppeteer
  */
-async function extractTwitterContent(url) {
+async function extractTwitterContent(url, options = {}) {
   const parsed = extractTweetId(url);
   if (!parsed) {
-    throw new Error('Invalid Twitter/X URL');
+    throw new ExtractionError('invalid-url', { extractor: 'browser', message: 'Invalid Twitter/X URL' });
   }
 
   try {
-    const data = await extractWithPuppeteer(parsed.username, parsed.tweetId);
+    const data = await withSessionRetry('twitter', session =>
+      extractWithPuppeteer(parsed.username, parsed.tweetId, { ...options, session }), options);
 
-    return {
+    const result = {
       platform: 'twitter',
       author: data.author,
       content: data.content,
@@ -229,23 +611,123 @@ async function extractTwitterContent(url) {
       originalUrl: url,
       stats: data.stats,
     };
+    if (data.quotedTweet) {
+      result.quotedTweet = toPost(data.quotedTweet);
+    }
+    if (data.retweetedBy) {
+      result.retweetedBy = data.retweetedBy;
+    }
+    if (data.inReplyTo) {
+      result.inReplyTo = data.inReplyTo;
+    }
+    if (data.thread) {
+      result.thread = data.thread;
+    }
+    return result;
   } catch (error) {
-    console.error('Puppeteer extraction failed:', error);
-    throw new Error('Failed to extract tweet. The tweet may be private or unavailable.');
+    // Aborting closes the page, so whatever was running fails with a protocol error
+    const extractionError = options.signal?.aborted
+      ? new ExtractionError('cancelled', { extractor: 'browser' })
+      : fromBrowserError(error);
+    console.error(`Puppeteer extraction failed (${extractionError.code}):`, extractionError.detail || error.message);
+    throw extractionError;
   }
 }
 
 /**
- * Clean up browser on process exit
+ * Extract one page of a profile's timeline or media tab using Puppeteer
+ * @param {object} target - From parseProfileUrl(): {kind, username}
+ * @param {object} options - See extractTwitterProfile, plus the session
  */
-process.on('exit', () => {
-  if (browserInstance) {
-    browserInstance.close().catch(() => {});
+async function extractProfileWithPuppeteer(target, { cursor, signal, onProgress, session }) {
+  onProgress?.('browser-launching', `Opening @${target.username} in a headless browser`);
+  const page = await acquirePage({ signal, cookies: session?.cookies });
+  const capturedVideos = [];
+  const isMedia = target.kind === 'media';
+
+  try {
+    await openPage(page, `https://x.com/${target.username}${isMedia ? '/media' : ''}`, capturedVideos);
+
+    const headerEl = await page.waitForSelector('[data-testid="UserName"]', { timeout: 10000 }).catch(() => null);
+    if (!headerEl) {
+      throw await getPageError(page);
+    }
+    onProgress?.('page-loaded', 'Profile page loaded');
+
+    const profile = toProfile(await page.evaluate(scrapeProfileHeader), target.username);
+    const layout = isMedia ? 'grid' : 'feed';
+
+    // Protected accounts show their header but no posts unless you follow them
+    const timelineEl = await page.waitForSelector(isMedia ? 'a[href*="/photo/"], a[href*="/video/"]' : 'article', {
+      timeout: 10000,
+    }).catch(() => null);
+    if (!timelineEl) {
+      return { profile, items: [], cursor: null, layout };
+    }
+
+    const entries = await collectTimeline(page, isMedia ? scrapeMediaGrid : scrapeArticles, {
+      cursor,
+      limit: PROFILE_PAGE_SIZE,
+    });
+    onProgress?.('timeline-loaded', `Found ${entries.length} post(s)`);
+
+    const author = {
+      username: profile.username,
+      displayName: profile.displayName,
+      avatar: profile.avatar,
+      verified: profile.verified,
+    };
+    const items = entries.map((entry) => {
+      if (isMedia) return fromMediaCell(entry, author);
+
+      attachCapturedVideos(entry, capturedVideos, false);
+      if (entry.quotedTweet) {
+        attachCapturedVideos(entry.quotedTweet, capturedVideos, false);
+      }
+      return toPost(entry);
+    });
+
+    return {
+      // The header was sent with the first page
+      profile: cursor ? null : profile,
+      items,
+      cursor: entries.length === PROFILE_PAGE_SIZE ? entries[entries.length - 1].id : null,
+      layout,
+    };
+  } finally {
+    await releasePage(page);
   }
-});
+}
+
+/**
+ * Extract a Twitter/X profile's timeline or media tab
+ * Runs anonymously first and retries with a logged-in session when needed
+ * @param {object} target - From parseProfileUrl(): {kind: 'posts'|'media', username}
+ * @param {object} [options]
+ * @param {string} [options.cursor] - Cursor from the previous page
+ * @param {AbortSignal} [options.signal] - Closes the page when aborted
+ * @param {Function} [options.onProgress] - Called with (stage, message)
+ * @returns {Promise<object>} - {profile, items, cursor, layout}
+ */
+async function extractTwitterProfile(target, { cursor, signal, onProgress } = {}) {
+  if (cursor && !CURSOR_PATTERN.test(cursor)) {
+    throw new ExtractionError('invalid-url', { extractor: 'browser', message: 'Invalid page cursor' });
+  }
+
+  try {
+    return await withSessionRetry('twitter', session =>
+      extractProfileWithPuppeteer(target, { cursor, signal, onProgress, session }), { signal, onProgress });
+  } catch (error) {
+    const extractionError = signal?.aborted
+      ? new ExtractionError('cancelled', { extractor: 'browser' })
+      : fromBrowserError(error);
+    console.error(`Puppeteer profile extraction failed (${extractionError.code}):`, extractionError.detail || error.message);
+    throw extractionError;
+  }
+}
 
 module.exports = {
-  isTwitterUrl,
   extractTwitterContent,
+  extractTwitterProfile,
   extractTweetId,
 };
@@ -2,95 +2,273 @@
  * yt-dlp wrapper for extracting media from social media
  */
 
-const { exec } = require('child_process');
+const { execFile } = require('child_process');
 const { promisify } = require('util');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { runYtdlp } = require('./ytdlpRunner');
+const { buildSubtitleTracks } = require('./subtitles');
+const { withSessionRetry, withCookiesFile } = require('./sessions');
+const { detectPlatform, parsePlatformUrl, getPlatform } = require('./platforms');
+const { ExtractionError, toExtractionError } = require('./errors');
 
-const execAsync = promisify(exec);
+const execFileAsync = promisify(execFile);
+
+// Downloads fetch and merge whole files, so they get more time than metadata
+const DOWNLOAD_TIMEOUT = parseInt(process.env.YTDLP_DOWNLOAD_TIMEOUT, 10) || 10 * 60 * 1000;
+
+// Extensions yt-dlp reports for image-only entries
+const IMAGE_EXTENSIONS = ['jpg', 'jpeg', 'png', 'webp', 'heic'];
+
+// Streaming playlists yt-dlp reports, which <video> can't play from a plain src
+const MANIFEST_PROTOCOL = /m3u8|dash|f4m|ism/;
+
+/**
+ * Run a yt-dlp job anonymously, retrying with a logged-in session's cookies
+ * when the platform asks for login
+ * @param {string} url
+ * @param {Function} run - (extra yt-dlp args) => Promise
+ * @param {object} [options] - signal and onProgress, see withSessionRetry
+ */
+function runWithSession(url, run, options) {
+  return withSessionRetry(detectPlatform(url), session =>
+    withCookiesFile(session, file => run(file ? ['--cookies', file] : [])), options);
+}
 
 /**
  * Extract media info using yt-dlp
  * @param {string} url - The URL to extract from
+ * @param {object} options
+ * @param {AbortSignal} [options.signal] - Cancels the extraction
+ * @param {Function} [options.onProgress] - Progress callback, see runYtdlp
  * @returns {Promise<object>} - Extracted media info
  */
-async function extractWithYtdlp(url) {
+async function extractWithYtdlp(url, { signal, onProgress } = {}) {
   try {
     // Use yt-dlp to get JSON info without downloading
-    const { stdout } = await execAsync(
-      `yt-dlp --dump-json --no-download --no-warnings "${url}"`,
-      { timeout: 60000, maxBuffer: 10 * 1024 * 1024 }
-    );
+    const { stdout } = await runWithSession(url, sessionArgs => runYtdlp(
+      [...sessionArgs, '--dump-json', '--no-download', '--no-warnings', '--', url],
+      { signal, onProgress }
+    ), { signal, onProgress });
 
-    const info = JSON.parse(stdout);
-    return parseYtdlpInfo(info, url);
+    // Playlists (carousels, multi-video tweets) print one JSON object per line
+    const infos = stdout
+      .split('\n')
+      .filter(line => line.trim())
+      .map(line => JSON.parse(line));
+    return parseYtdlpInfo(infos, url);
   } catch (error) {
-    console.error('yt-dlp extraction failed:', error.message);
-    throw new Error('Failed to extract media. The content may be private or unavailable.');
+    const extractionError = toExtractionError(error, 'ytdlp');
+    console.error(`yt-dlp extraction failed (${extractionError.code}):`, extractionError.detail || error.message);
+    throw extractionError;
   }
 }
 
 /**
- * Parse yt-dlp output into our normalized format
+ * Download and mux best video + best audio into a single MP4, or just the audio
+ * The caller owns the returned temp directory and must call cleanup()
+ * @param {string} url - The URL to download
+ * @param {object} options
+ * @param {AbortSignal} [options.signal] - Aborts the download and kills yt-dlp
+ * @param {boolean} [options.audio] - Download only the audio, as M4A
+ * @returns {Promise<{filePath: string, fileName: string, cleanup: Function}>}
  */
-function parseYtdlpInfo(info, originalUrl) {
-  const platform = detectPlatform(originalUrl);
-
-  // Get the best video/audio URL
-  let videoUrl = '';
-  let thumbnailUrl = info.thumbnail || '';
-
-  // yt-dlp provides formats array with different qualities
-  if (info.formats && info.formats.length > 0) {
-    // Find formats with video (has width/height, has video track)
-    const videoFormats = info.formats.filter(f => {
-      const hasVideo = f.width && f.height && f.url;
-      const isNotAudioOnly = f.vcodec !== 'none' && f.video_ext !== 'none';
-      return hasVideo && isNotAudioOnly;
-    });
-
-    if (videoFormats.length > 0) {
-      // Prefer progressive mp4 over DASH (contains both audio+video)
-      const progressiveFormats = videoFormats.filter(f =>
-        !f.format_id?.includes('dash') && (f.ext === 'mp4' || f.video_ext === 'mp4')
-      );
-
-      const candidates = progressiveFormats.length > 0 ? progressiveFormats : videoFormats;
-
-      // Sort by quality (height)
-      candidates.sort((a, b) => (b.height || 0) - (a.height || 0));
-      videoUrl = candidates[0].url;
-    } else {
-      // Fallback to the URL yt-dlp selected
-      videoUrl = info.url || '';
+async function downloadWithYtdlp(url, { signal, audio = false } = {}) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'sm-viewer-'));
+  const cleanup = () => fs.rm(dir, { recursive: true, force: true }).catch(() => {});
+
+  try {
+    await runWithSession(url, sessionArgs => runYtdlp([
+      ...sessionArgs,
+      '--no-warnings',
+      '--no-playlist',
+      '--restrict-filenames',
+      // ffmpeg pulls the audio out of the video when there's no audio-only format
+      ...(audio
+        ? ['-f', 'ba/b', '-x', '--audio-format', 'm4a']
+        : ['-f', 'bv*+ba/b', '--merge-output-format', 'mp4']),
+      '-o', path.join(dir, '%(uploader_id,uploader,channel)s-%(id)s.%(ext)s'),
+      '--',
+      url,
+    ], { signal, timeout: DOWNLOAD_TIMEOUT, pool: 'download' }), { signal });
+
+    // yt-dlp leaves exactly one merged file behind
+    const files = (await fs.readdir(dir)).filter(f => !f.endsWith('.part') && !f.endsWith('.ytdl'));
+    if (files.length === 0) {
+      throw new ExtractionError('no-media', { extractor: 'ytdlp', detail: 'yt-dlp did not produce a file' });
     }
-  } else if (info.url) {
-    videoUrl = info.url;
+
+    return {
+      filePath: path.join(dir, files[0]),
+      fileName: files[0],
+      cleanup,
+    };
+  } catch (error) {
+    await cleanup();
+    const extractionError = toExtractionError(error, 'ytdlp');
+    console.error(`yt-dlp download failed (${extractionError.code}):`, extractionError.detail || error.message);
+    throw extractionError;
   }
+}
 
-  // Build media array
-  const media = [];
+/**
+ * Flatten playlist info into its individual entries
+ */
+function flattenEntries(info) {
+  if (Array.isArray(info.entries)) {
+    return info.entries.filter(Boolean).flatMap(flattenEntries);
+  }
+  return [info];
+}
+
+/**
+ * Pick the best playable video URL from a yt-dlp info object
+ * Plain files with sound come first. When the only way to get sound is an
+ * HLS playlist, that is returned marked `hls` so the pipeline can prefer the
+ * embed; a silent video-only file is the last resort
+ */
+function pickVideoFormat(info) {
+  // Formats without acodec (Twitter's http-*) are muxed, only 'none' means silent
+  const hasAudio = (f) => f.acodec !== 'none';
+  const isMp4 = (f) => f.ext === 'mp4' || f.video_ext === 'mp4';
+  const byQuality = (a, b) => isMp4(b) - isMp4(a) || (b.height || 0) - (a.height || 0);
+
+  const videoFormats = (info.formats || []).filter(f =>
+    f.url && f.width && f.height && f.vcodec !== 'none' && f.video_ext !== 'none'
+  );
+  const direct = videoFormats.filter(f => !MANIFEST_PROTOCOL.test(f.protocol || 'https'));
+  const hls = videoFormats.filter(f => /m3u8/.test(f.protocol || ''));
+
+  const muxed = direct.filter(hasAudio).sort(byQuality)[0];
+  if (muxed) return muxed;
+
+  const playlist = hls.filter(hasAudio).sort(byQuality)[0];
+  if (playlist) return { ...playlist, hls: true };
 
-  if (videoUrl) {
-    media.push({
+  const videoOnly = direct.sort(byQuality)[0];
+  if (videoOnly) return videoOnly;
+
+  // Fallback to the URL yt-dlp selected, unless it's an image or audio
+  if (info.url && info.vcodec !== 'none' && !IMAGE_EXTENSIONS.includes(info.ext)) {
+    if (/m3u8/.test(info.protocol || '')) {
+      return { url: info.url, width: info.width, height: info.height, hls: true };
+    }
+    if (!MANIFEST_PROTOCOL.test(info.protocol || '')) {
+      return { url: info.url, width: info.width, height: info.height };
+    }
+  }
+  return null;
+}
+
+/**
+ * Normalize the yt-dlp formats array into selectable variants
+ * Only directly playable (plain HTTP) formats are kept, best quality first
+ */
+function buildVariants(info) {
+  if (!Array.isArray(info.formats)) return [];
+
+  const variants = info.formats
+    .filter(f => f.url && /^https?$/.test(f.protocol || 'https') && f.ext !== 'mhtml')
+    .map(f => {
+      const hasVideo = f.vcodec !== 'none' && f.video_ext !== 'none' && !!(f.height || f.width);
+      const hasAudio = f.acodec ? f.acodec !== 'none' : f.audio_ext !== 'none';
+      const bitrate = f.tbr || f.vbr || f.abr || null;
+      const filesize = f.filesize || f.filesize_approx ||
+        (bitrate && info.duration ? Math.round(bitrate * 1000 / 8 * info.duration) : null);
+
+      return {
+        id: f.format_id,
+        url: f.url,
+        // Label by the short side so portrait 720x1280 reads as 720p
+        resolution: hasVideo && f.height ? `${Math.min(f.width || f.height, f.height)}p` : 'audio',
+        width: f.width || null,
+        height: f.height || null,
+        bitrate: bitrate ? Math.round(bitrate) : null,
+        vcodec: hasVideo ? f.vcodec || null : null,
+        acodec: hasAudio ? f.acodec || null : null,
+        container: f.ext || null,
+        hasVideo,
+        hasAudio,
+        filesize,
+      };
+    })
+    .filter(v => v.hasVideo || v.hasAudio);
+
+  variants.sort((a, b) => (b.height || 0) - (a.height || 0) || (b.bitrate || 0) - (a.bitrate || 0));
+  return variants;
+}
+
+/**
+ * Build a single media item from a yt-dlp entry
+ */
+function parseMediaItem(info) {
+  const thumbnail = info.thumbnail || '';
+  const video = pickVideoFormat(info);
+
+  if (video) {
+    const item = {
       type: 'video',
-      url: videoUrl,
-      thumbnail: thumbnailUrl,
-    });
-  } else if (thumbnailUrl) {
-    media.push({
+      url: video.url,
+      thumbnail: thumbnail,
+      width: video.width || info.width || null,
+      height: video.height || info.height || null,
+      duration: info.duration || null,
+      variants: buildVariants(info),
+      subtitles: buildSubtitleTracks(info),
+    };
+    if (video.hls) item.hls = true;
+    return item;
+  }
+
+  // Image entries (carousel photos, slideshow frames) carry the image as url
+  const imageUrl = IMAGE_EXTENSIONS.includes(info.ext) && info.url ? info.url : thumbnail;
+  if (imageUrl) {
+    return {
       type: 'image',
-      url: thumbnailUrl,
-    });
+      url: imageUrl,
+      width: info.width || null,
+      height: info.height || null,
+    };
   }
 
-  return {
+  return null;
+}
+
+/**
+ * Parse yt-dlp output into our normalized format
+ * @param {object|object[]} output - One info object, or one per printed JSON line
+ * @param {string} originalUrl - The URL that was extracted
+ */
+function parseYtdlpInfo(output, originalUrl) {
+  const platform = detectPlatform(originalUrl) || 'unknown';
+
+  const infos = Array.isArray(output) ? output : [output];
+  const entries = infos.flatMap(flattenEntries);
+
+  // Post-level metadata lives on the first entry; playlist wrappers only
+  // carry it when yt-dlp was asked for a single JSON document
+  const info = entries[0] || infos[0];
+  const playlist = infos.find(i => Array.isArray(i.entries)) || {};
+
+  // Build media array, one item per entry
+  const media = [];
+  for (const entry of entries) {
+    const item = parseMediaItem(entry);
+    if (item && !media.some(m => m.url === item.url)) {
+      media.push(item);
+    }
+  }
+
+  const result = {
     platform: platform,
     author: {
-      username: info.uploader_id || info.channel_id || info.uploader || '',
-      displayName: info.uploader || info.channel || '',
+      username: info.uploader_id || info.channel_id || playlist.uploader_id || info.uploader || '',
+      displayName: info.uploader || info.channel || playlist.uploader || '',
       avatar: info.uploader_url || '',
     },
     content: {
-      text: info.description || info.title || '',
+      text: info.description || playlist.description || info.title || playlist.title || '',
       media: media,
     },
     timestamp: info.timestamp ? new Date(info.timestamp * 1000).toISOString() : '',
@@ -99,30 +277,52 @@ function parseYtdlpInfo(info, originalUrl) {
       likes: info.like_count || 0,
       views: info.view_count || 0,
       comments: info.comment_count || 0,
+      retweets: info.repost_count || 0,
     },
     // Include raw yt-dlp data for debugging
     _ytdlp: {
       title: info.title,
       duration: info.duration,
       extractor: info.extractor,
+      entries: entries.length,
     },
   };
+
+  // Platforms put author/caption data in different yt-dlp fields
+  getPlatform(platform)?.fromYtdlp?.(info, result);
+
+  return platform === 'twitter' ? splitQuotedTweet(result, info, originalUrl) : result;
 }
 
 /**
- * Detect platform from URL
+ * When a tweet has no media of its own but quotes one that does, yt-dlp
+ * follows the quote and returns the quoted tweet instead. Detect that by
+ * the tweet ID and move everything into `quotedTweet`, leaving the outer
+ * post for the browser extractor to fill in
  */
-function detectPlatform(url) {
-  if (url.includes('instagram.com') || url.includes('instagr.am')) {
-    return 'instagram';
-  }
-  if (url.includes('twitter.com') || url.includes('x.com')) {
-    return 'twitter';
+function splitQuotedTweet(result, info, originalUrl) {
+  const requestedId = parsePlatformUrl(originalUrl)?.id;
+  const extractedId = String(info.display_id || info.id || '');
+  if (!requestedId || !extractedId || extractedId.startsWith(requestedId)) {
+    return result;
   }
-  if (url.includes('tiktok.com')) {
-    return 'tiktok';
-  }
-  return 'unknown';
+
+  const quotedTweet = {
+    platform: 'twitter',
+    author: result.author,
+    content: result.content,
+    timestamp: result.timestamp,
+    originalUrl: info.webpage_url || `https://x.com/i/status/${extractedId}`,
+  };
+
+  return {
+    ...result,
+    author: { username: '', displayName: '', avatar: '' },
+    content: { text: '', media: [] },
+    timestamp: '',
+    stats: {},
+    quotedTweet,
+  };
 }
 
 /**
@@ -130,7 +330,7 @@ function detectPlatform(url) {
  */
 async function isYtdlpAvailable() {
   try {
-    await execAsync('which yt-dlp');
+    await execFileAsync('yt-dlp', ['--version'], { timeout: 10000 });
     return true;
   } catch {
     return false;
@@ -139,5 +339,6 @@ async function isYtdlpAvailable() {
 
 module.exports = {
   extractWithYtdlp,
+  downloadWithYtdlp,
   isYtdlpAvailable,
 };
@@ -0,0 +1,240 @@
+/**
+ * Managed yt-dlp process runner
+ * Spawns yt-dlp with an argument array (never through a shell), limits how
+ * many run at once, enforces per-job timeouts and maps stderr to error codes
+ */
+
+const { spawn } = require('child_process');
+const { ExtractionError } = require('./errors');
+
+// Maximum number of metadata extractions running at the same time
+const MAX_CONCURRENT = parseInt(process.env.YTDLP_CONCURRENCY, 10) || 2;
+
+// Downloads run for minutes, so they get their own slots and never hold up extraction
+const MAX_DOWNLOADS = parseInt(process.env.YTDLP_DOWNLOAD_CONCURRENCY, 10) || 1;
+
+// Default per-job timeout (ms), queue time not included
+const DEFAULT_TIMEOUT = parseInt(process.env.YTDLP_TIMEOUT, 10) || 60000;
+
+// How long an extraction waits for a free slot before giving up (ms), so the
+// pipeline can move on to the browser or embed
+const QUEUE_TIMEOUT = parseInt(process.env.YTDLP_QUEUE_TIMEOUT, 10) || 30000;
+
+// Cap on captured stdout, metadata for huge playlists shouldn't eat memory
+const MAX_STDOUT = 20 * 1024 * 1024;
+
+// Known yt-dlp failure messages, checked in order
+const ERROR_PATTERNS = [
+  { code: 'login-required', pattern: /log ?in|sign in|authentication|cookies.*(required|needed)|use --cookies/i },
+  { code: 'private', pattern: /private|protected|not authorized|permission/i },
+  { code: 'removed', pattern: /removed|deleted|does not exist|not found|404|no longer available|unavailable/i },
+  { code: 'geo-blocked', pattern: /geo|not available in your (country|region)|location/i },
+  { code: 'rate-limited', pattern: /rate.?limit|too many requests|429|try again later/i },
+  { code: 'no-media', pattern: /no video|no media|there's no video/i },
+  { code: 'unsupported', pattern: /unsupported url/i },
+];
+
+/**
+ * Build an ExtractionError for a failed yt-dlp job
+ */
+function ytdlpError(code, detail = '') {
+  return new ExtractionError(code, { extractor: 'ytdlp', detail });
+}
+
+// Separate slots and queues for metadata extraction and downloads
+const pools = {
+  extract: { limit: MAX_CONCURRENT, running: 0, queue: [] },
+  download: { limit: MAX_DOWNLOADS, running: 0, queue: [] },
+};
+
+/**
+ * Extra args configured through the environment
+ */
+function getConfiguredArgs() {
+  const args = [];
+  if (process.env.YTDLP_COOKIES_FILE) {
+    args.push('--cookies', process.env.YTDLP_COOKIES_FILE);
+  }
+  if (process.env.YTDLP_PROXY) {
+    args.push('--proxy', process.env.YTDLP_PROXY);
+  }
+  if (process.env.YTDLP_USER_AGENT) {
+    args.push('--user-agent', process.env.YTDLP_USER_AGENT);
+  }
+  return args;
+}
+
+/**
+ * Map yt-dlp stderr output to a structured error code
+ */
+function classifyError(stderr) {
+  // Only the ERROR: lines are meaningful, warnings mention all sorts of things
+  const errorLines = stderr
+    .split('\n')
+    .filter(line => line.startsWith('ERROR:'))
+    .join('\n') || stderr;
+
+  const match = ERROR_PATTERNS.find(({ pattern }) => pattern.test(errorLines));
+  return match ? match.code : 'unknown';
+}
+
+/**
+ * Kill a child and everything it spawned (ffmpeg for merges)
+ */
+function killTree(child) {
+  try {
+    // Negative pid targets the process group created by `detached: true`
+    process.kill(-child.pid, 'SIGKILL');
+  } catch {
+    child.kill('SIGKILL');
+  }
+}
+
+/**
+ * Start the next queued job if a slot is free
+ */
+function drainQueue(pool) {
+  while (pool.running < pool.limit && pool.queue.length > 0) {
+    const job = pool.queue.shift();
+    pool.running++;
+    job.start();
+  }
+}
+
+/**
+ * Run yt-dlp with the given arguments
+ * @param {string[]} args - Arguments, the URL should follow a '--' separator
+ * @param {object} options
+ * @param {number} [options.timeout] - Kill the job after this many ms
+ * @param {'extract'|'download'} [options.pool] - Which slots the job runs in
+ * @param {number} [options.queueTimeout] - Give up after waiting this many ms
+ *   for a slot, 0 to wait indefinitely. Defaults to YTDLP_QUEUE_TIMEOUT for
+ *   extraction and no limit for downloads
+ * @param {AbortSignal} [options.signal] - Cancels the job, queued or running
+ * @param {Function} [options.onProgress] - Called with (stage, message) when the job queues or starts
+ * @returns {Promise<{stdout: string, stderr: string}>}
+ */
+function runYtdlp(args, {
+  timeout = DEFAULT_TIMEOUT,
+  pool: poolName = 'extract',
+  queueTimeout = poolName === 'extract' ? QUEUE_TIMEOUT : 0,
+  signal,
+  onProgress,
+} = {}) {
+  const pool = pools[poolName];
+
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      return reject(ytdlpError('cancelled'));
+    }
+
+    let child = null;
+    let settled = false;
+    let timer = null;
+    let queueTimer = null;
+
+    const finish = (error, result) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      clearTimeout(queueTimer);
+      signal?.removeEventListener('abort', onAbort);
+      if (child) {
+        pool.running--;
+        drainQueue(pool);
+      } else {
+        const index = pool.queue.indexOf(job);
+        if (index !== -1) pool.queue.splice(index, 1);
+      }
+      error ? reject(error) : resolve(result);
+    };
+
+    const onAbort = () => {
+      if (child) killTree(child);
+      finish(ytdlpError('cancelled'));
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    const job = {
+      start() {
+        clearTimeout(queueTimer);
+        if (settled) {
+          pool.running--;
+          return drainQueue(pool);
+        }
+
+        onProgress?.('ytdlp-running', 'Running yt-dlp');
+        child = spawn('yt-dlp', [...getConfiguredArgs(), ...args], {
+          detached: true,
+          stdio: ['ignore', 'pipe', 'pipe'],
+        });
+
+        let stdout = '';
+        let stderr = '';
+
+        child.stdout.on('data', (chunk) => {
+          stdout += chunk;
+          if (stdout.length > MAX_STDOUT) {
+            killTree(child);
+            finish(ytdlpError('unknown', 'yt-dlp output too large'));
+          }
+        });
+        child.stderr.on('data', (chunk) => {
+          stderr = (stderr + chunk).slice(-8000);
+        });
+
+        timer = setTimeout(() => {
+          killTree(child);
+          finish(ytdlpError('timeout', `yt-dlp timed out after ${timeout}ms`));
+        }, timeout);
+
+        child.on('error', (error) => {
+          const code = error.code === 'ENOENT' ? 'not-installed' : 'unknown';
+          finish(ytdlpError(code, error.message));
+        });
+
+        child.on('close', (exitCode) => {
+          if (exitCode === 0) {
+            return finish(null, { stdout, stderr });
+          }
+          const detail = stderr.trim().split('\n').pop() || `yt-dlp exited with code ${exitCode}`;
+          finish(ytdlpError(classifyError(stderr), detail));
+        });
+      },
+    };
+
+    pool.queue.push(job);
+    drainQueue(pool);
+
+    if (!child && !settled) {
+      onProgress?.('ytdlp-queued', `Waiting for a free yt-dlp slot (${pool.queue.length} queued)`);
+      if (queueTimeout > 0) {
+        queueTimer = setTimeout(() => {
+          finish(ytdlpError('timeout', `No free yt-dlp slot after ${queueTimeout}ms`));
+        }, queueTimeout);
+      }
+    }
+  });
+}
+
+/**
+ * Runner stats for the health endpoint
+ */
+function getRunnerStats() {
+  return {
+    running: pools.extract.running,
+    queued: pools.extract.queue.length,
+    maxConcurrent: MAX_CONCURRENT,
+    downloads: {
+      running: pools.download.running,
+      queued: pools.download.queue.length,
+      maxConcurrent: MAX_DOWNLOADS,
+    },
+  };
+}
+
+module.exports = {
+  runYtdlp,
+  classifyError,
+  getRunnerStats,
+};
@@ -10,24 +10,101 @@ const btnText = submitBtn.querySelector('.btn-text');
 const btnLoading = submitBtn.querySelector('.btn-loading');
 const errorContainer = document.getElementById('error-container');
 const errorMessage = document.getElementById('error-message');
+const errorGuidance = document.getElementById('error-guidance');
+const retryBtn = document.getElementById('retry-btn');
+const threadToggle = document.getElementById('thread-toggle');
+const threadParentsToggle = document.getElementById('thread-parents-toggle');
+const audioToggle = document.getElementById('audio-toggle');
 const contentContainer = document.getElementById('content-container');
+const feedContainer = document.getElementById('feed-container');
+const progressContainer = document.getElementById('progress-container');
+const progressSteps = document.getElementById('progress-steps');
+const cancelBtn = document.getElementById('cancel-btn');
+const supportedPlatformsText = document.getElementById('supported-platforms');
+const archiveBtn = document.getElementById('archive-btn');
+const archiveContainer = document.getElementById('archive-container');
+const archiveSearch = document.getElementById('archive-search');
+const archiveList = document.getElementById('archive-list');
+const archiveEmpty = document.getElementById('archive-empty');
+
+// Filled from /api/platforms on load: [{ id, name, hosts }]
+let platforms = [];
+
+// { cancel } for the extraction in flight, so the Cancel button can stop it
+let activeExtraction = null;
+
+// Debounces archive searches while typing
+let archiveSearchTimer = null;
+
+// Cache the service worker keeps recently viewed posts in, keyed by permalink
+const POSTS_CACHE = 'sm-viewer-posts-v1';
+
+// How long a photo story stays up before the viewer moves on (ms)
+const STORY_PHOTO_DURATION = 5000;
 
 /**
- * Show loading state
+ * Show loading state, with a fresh progress timeline and cancel button
  */
 function setLoading(isLoading) {
   submitBtn.disabled = isLoading;
   btnText.hidden = isLoading;
   btnLoading.hidden = !isLoading;
+
+  progressContainer.hidden = !isLoading;
+  if (isLoading) {
+    progressSteps.innerHTML = '';
+  }
 }
 
+/**
+ * Add a step to the progress timeline, marking the previous one finished
+ */
+function addProgressStep({ stage, message, elapsedMs }) {
+  progressSteps.querySelector('.progress-step.active')?.classList.remove('active');
+
+  const step = document.createElement('li');
+  step.className = `progress-step active ${stage.endsWith('-failed') ? 'failed' : ''}`;
+  step.innerHTML = `
+    <span class="progress-message">${escapeHtml(message)}</span>
+    <span class="progress-time">${(elapsedMs / 1000).toFixed(1)}s</span>
+  `;
+  progressSteps.appendChild(step);
+}
+
+// What the user can do about each error code from the API
+const ERROR_GUIDANCE = {
+  'invalid-url': 'Check that you copied the whole link, including https://.',
+  'unsupported': 'Paste a link to a single post from one of the supported sites below.',
+  'private': 'Only approved followers can see posts from this account.',
+  'login-required': 'The platform requires an account to view this post, so it can\'t be shown here.',
+  'removed': 'The post may have been deleted by its author or taken down.',
+  'geo-blocked': 'The platform restricts this post in the region our server runs in.',
+  'rate-limited': 'Too many requests right now. Wait a minute and try again.',
+  'timeout': 'The platform was slow to respond. Trying again often works.',
+  'no-media': 'This post doesn\'t seem to contain any photos or videos.',
+  'not-installed': 'The server is missing a component needed for this platform.',
+  'cancelled': 'You stopped this extraction. Try again whenever you like.',
+};
+
 /**
  * Show error message
+ * Accepts a plain message or an error from the API with code/retryable
  */
-function showError(message) {
-  errorMessage.textContent = message;
+function showError(error) {
+  const { message, code, retryable } = typeof error === 'string' ? { message: error } : error;
+
+  errorMessage.textContent = message || 'Something went wrong. Please try again.';
+
+  const guidance = ERROR_GUIDANCE[code];
+  errorGuidance.textContent = guidance || '';
+  errorGuidance.hidden = !guidance;
+
+  retryBtn.hidden = !retryable;
+
   errorContainer.hidden = false;
   contentContainer.hidden = true;
+  feedContainer.hidden = true;
+  archiveContainer.hidden = true;
 }
 
 /**
@@ -66,6 +143,104 @@ function formatNumber(num) {
   return num.toString();
 }
 
+/**
+ * Build quality picker options, one per distinct resolution
+ * Variants come best-first, so the first one seen for a label wins
+ */
+function getQualityOptions(variants) {
+  const options = [];
+  for (const variant of variants || []) {
+    const label = variant.hasVideo
+      ? `${variant.resolution}${variant.hasAudio ? '' : ' (no audio)'}`
+      : 'Audio only';
+    if (options.some(o => o.label === label)) continue;
+    options.push({ label, url: variant.proxyUrl || variant.url, sourceUrl: variant.url });
+  }
+  return options;
+}
+
+/**
+ * Create quality picker HTML for a video
+ */
+function createQualityPickerHtml(item) {
+  const options = getQualityOptions(item.variants);
+  if (options.length < 2) return '';
+
+  return `
+    <select class="quality-select" aria-label="Video quality">
+      ${options.map(o => `
+        <option value="${o.url}" ${o.sourceUrl === item.url ? 'selected' : ''}>${o.label}</option>
+      `).join('')}
+    </select>
+  `;
+}
+
+/**
+ * Create <track> elements for a video's subtitles
+ * Tracks start disabled, the language picker turns one on
+ */
+function createSubtitleTracksHtml(item) {
+  return (item.subtitles || []).map(track => `
+    <track
+      kind="subtitles"
+      src="${escapeHtml(track.proxyUrl)}"
+      srclang="${escapeHtml(track.language)}"
+      label="${escapeHtml(getSubtitleLabel(track))}"
+    >
+  `).join('');
+}
+
+/**
+ * Label a subtitle track, marking auto-generated captions
+ */
+function getSubtitleLabel(track) {
+  return track.automatic ? `${track.name} (auto-generated)` : track.name;
+}
+
+/**
+ * Create subtitle language picker HTML for a video
+ */
+function createSubtitlePickerHtml(item) {
+  if (!item.subtitles?.length) return '';
+
+  return `
+    <select class="subtitle-select" aria-label="Subtitles">
+      <option value="">Subtitles off</option>
+      ${item.subtitles.map(track => `
+        <option value="${escapeHtml(track.language)}">${escapeHtml(getSubtitleLabel(track))}</option>
+      `).join('')}
+    </select>
+  `;
+}
+
+/**
+ * Format a duration in seconds as m:ss
+ */
+function formatDuration(seconds) {
+  const total = Math.round(seconds);
+  return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Create an audio player with the thumbnail as cover art
+ */
+function createAudioHtml(item) {
+  const src = item.proxyUrl || item.url;
+  const cover = item.proxyThumbnail || item.thumbnail;
+  const details = [
+    item.duration ? formatDuration(item.duration) : '',
+    item.bitrate ? `${item.bitrate} kbps` : '',
+  ].filter(Boolean).join(' · ');
+
+  return `
+    <div class="media-item audio-item">
+      ${cover ? `<img class="audio-cover" src="${cover}" alt="Cover art" loading="lazy">` : ''}
+      <audio class="audio-player" controls preload="metadata" src="${src}"></audio>
+      ${details ? `<span class="audio-details">${details}</span>` : ''}
+    </div>
+  `;
+}
+
 /**
  * Create media HTML
  */
@@ -73,6 +248,24 @@ function createMediaHtml(media) {
   if (!media || media.length === 0) return '';
 
   const items = media.map((item, index) => {
+    // Prefer the server proxy, CDN links expire and block hotlinking
+    const src = item.proxyUrl || item.url;
+    const poster = item.proxyThumbnail || item.thumbnail;
+
+    // Thread replies often never start loading their video, show the poster
+    if ((item.type === 'video' || item.type === 'gif') && !item.url && poster) {
+      return `
+        <div class="media-item video-unavailable">
+          <img src="${poster}" alt="Video preview ${index + 1}" loading="lazy">
+          <span class="video-unavailable-label">Video not loaded</span>
+        </div>
+      `;
+    }
+
+    if (item.type === 'audio') {
+      return createAudioHtml(item);
+    }
+
     if (item.type === 'video' || item.type === 'gif') {
       return `
         <div class="media-item">
@@ -80,18 +273,21 @@ function createMediaHtml(media) {
             controls
             playsinline
             preload="metadata"
-            ${item.thumbnail ? `poster="${item.thumbnail}"` : ''}
+            ${poster ? `poster="${poster}"` : ''}
           >
-            <source src="${item.url}" type="video/mp4">
+            <source src="${src}" type="${item.hls ? 'application/vnd.apple.mpegurl' : 'video/mp4'}">
+            ${createSubtitleTracksHtml(item)}
             Your browser does not support video playback.
           </video>
+          ${createSubtitlePickerHtml(item)}
+          ${createQualityPickerHtml(item)}
         </div>
       `;
     }
     return `
       <div class="media-item">
         <img
-          src="${item.url}"
+          src="${src}"
           alt="Post media ${index + 1}"
           loading="lazy"
           onclick="openLightbox(this.src)"
@@ -122,20 +318,21 @@ function createMediaHtml(media) {
 
 /**
  * Create quoted tweet HTML
+ * Also used for the replied-to tweet, with a different class
  */
-function createQuotedTweetHtml(quoted) {
+function createQuotedTweetHtml(quoted, className = 'quoted-tweet') {
   if (!quoted) return '';
 
   return `
-    <div class="quoted-tweet">
+    <div class="${className}">
       <div class="post-header">
         ${quoted.author.avatar
-          ? `<img class="avatar" src="${quoted.author.avatar}" alt="${quoted.author.username}">`
+          ? `<img class="avatar" src="${quoted.author.avatar}" alt="${escapeHtml(quoted.author.username)}">`
           : '<div class="avatar"></div>'
         }
         <div class="author-info">
-          <div class="display-name">${quoted.author.displayName || quoted.author.username}</div>
-          <div class="username">@${quoted.author.username}</div>
+          <div class="display-name">${escapeHtml(quoted.author.displayName || quoted.author.username)}</div>
+          <div class="username">@${escapeHtml(quoted.author.username)}</div>
         </div>
       </div>
       <div class="post-content">
@@ -146,86 +343,171 @@ function createQuotedTweetHtml(quoted) {
   `;
 }
 
+/**
+ * Create the "reposted by" banner and "replying to" context above a post
+ */
+function createPostContextHtml(retweetedBy, inReplyTo) {
+  let html = '';
+
+  if (retweetedBy) {
+    html += `
+      <div class="post-context">
+        🔁 ${escapeHtml(retweetedBy.displayName || retweetedBy.username)} reposted
+      </div>
+    `;
+  }
+
+  if (inReplyTo) {
+    // Only a handle is known when the parent tweet wasn't rendered
+    html += inReplyTo.content?.text || inReplyTo.content?.media?.length
+      ? createQuotedTweetHtml(inReplyTo, 'in-reply-to')
+      : `<div class="post-context">Replying to @${escapeHtml(inReplyTo.author.username)}</div>`;
+  }
+
+  return html;
+}
+
 /**
  * Escape HTML to prevent XSS
+ * Quotes too, so the result is safe inside attribute values
  */
 function escapeHtml(text) {
-  const div = document.createElement('div');
-  div.textContent = text;
-  return div.innerHTML;
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Display name for a platform ID, e.g. 'twitter' -> 'Twitter/X'
+ */
+function getPlatformName(id) {
+  return platforms.find(platform => platform.id === id)?.name || id;
+}
+
+/**
+ * Create the platform badge shown in post and embed headers
+ */
+function createPlatformBadgeHtml(platform) {
+  return `<span class="platform-badge" data-platform="${escapeHtml(platform)}">${escapeHtml(getPlatformName(platform))}</span>`;
 }
 
 /**
  * Render embedded content (fallback mode)
  */
-function renderEmbed(data) {
-  const { platform, embedUrl, originalUrl } = data;
+function renderEmbed(data, container = contentContainer) {
+  const { platform, embedUrl, originalUrl, error } = data;
 
-  let embedHtml = '';
+  // Explain why we fell back, e.g. "rate limiting requests right now"
+  const notice = error
+    ? `Using official embed: ${escapeHtml(error.message)}`
+    : 'Using official embed (API unavailable)';
+
+  let embedBody = '';
 
   if (platform === 'twitter') {
     // Twitter embed
-    embedHtml = `
-      <div class="embed-container">
-        <div class="embed-header">
-          <span class="platform-badge">${platform}</span>
-          <span class="embed-notice">Using official embed (API unavailable)</span>
-        </div>
-        <blockquote class="twitter-tweet" data-theme="dark">
-          <a href="${originalUrl}">Loading tweet...</a>
-        </blockquote>
-        <script async src="https://platform.twitter.com/widgets.js" charset="utf-8"></script>
-      </div>
+    embedBody = `
+      <blockquote class="twitter-tweet" data-theme="dark">
+        <a href="${escapeHtml(originalUrl)}">Loading tweet...</a>
+      </blockquote>
+      <script async src="https://platform.twitter.com/widgets.js" charset="utf-8"></script>
     `;
   } else if (platform === 'instagram') {
     // Instagram embed
-    embedHtml = `
-      <div class="embed-container">
-        <div class="embed-header">
-          <span class="platform-badge">${platform}</span>
-          <span class="embed-notice">Using official embed (API unavailable)</span>
-        </div>
-        <iframe
-          src="${embedUrl}"
-          class="instagram-embed"
-          frameborder="0"
-          scrolling="no"
-          allowtransparency="true"
-          allowfullscreen="true"
-        ></iframe>
-      </div>
+    embedBody = `
+      <iframe
+        src="${escapeHtml(embedUrl)}"
+        class="instagram-embed"
+        frameborder="0"
+        scrolling="no"
+        allowtransparency="true"
+        allowfullscreen="true"
+      ></iframe>
+    `;
+  } else {
+    // Every other platform has an iframe player or post page
+    embedBody = `
+      <iframe
+        src="${escapeHtml(embedUrl)}"
+        class="platform-embed"
+        data-platform="${escapeHtml(platform)}"
+        frameborder="0"
+        allow="autoplay; encrypted-media; picture-in-picture"
+        allowfullscreen="true"
+      ></iframe>
+      <a class="embed-original-link" href="${escapeHtml(originalUrl)}" target="_blank" rel="noopener">
+        Open on ${escapeHtml(getPlatformName(platform))}
+      </a>
     `;
   }
 
-  contentContainer.innerHTML = embedHtml;
-  contentContainer.hidden = false;
+  container.innerHTML = `
+    <div class="embed-container">
+      <div class="embed-header">
+        ${createPlatformBadgeHtml(platform)}
+        <span class="embed-notice">${notice}</span>
+      </div>
+      ${embedBody}
+    </div>
+  `;
+  container.hidden = false;
 
   // Reload Twitter widgets if needed
   if (platform === 'twitter' && window.twttr && window.twttr.widgets) {
-    window.twttr.widgets.load(contentContainer);
+    window.twttr.widgets.load(container);
   }
 }
 
 /**
- * Render content to the page
+ * Create the sound line for TikTok posts
+ * Photo-mode slideshows get a player, videos already carry their audio
  */
-function renderContent(data) {
-  // Check if this is embed mode
-  if (data.embedMode) {
-    return renderEmbed(data);
-  }
+function createMusicHtml(music, photoMode) {
+  if (!music?.title) return '';
 
-  const { platform, author, content, timestamp, stats, quotedTweet } = data;
+  const src = music.proxyUrl || music.url;
+  return `
+    <div class="music-info">
+      <span class="music-title">♪ ${escapeHtml(music.title)}${music.artist ? ` · ${escapeHtml(music.artist)}` : ''}</span>
+      ${photoMode && src ? `<audio class="music-player" controls preload="none" src="${src}"></audio>` : ''}
+    </div>
+  `;
+}
+
+/**
+ * Create the HTML for a single post (header, content, footer)
+ */
+function createPostHtml(data) {
+  const { platform, author, content, timestamp, stats, quotedTweet, retweetedBy, inReplyTo, originalUrl, music, photoMode } = data;
+
+  // Downloads are muxed server-side so DASH sources keep their audio
+  const hasVideo = content.media?.some(m => m.type === 'video');
+  const downloadHtml = (hasVideo || data.audioOnly) && originalUrl ? `
+    <a class="download-btn" href="/api/download?url=${encodeURIComponent(originalUrl)}${data.audioOnly ? '&audio=1' : ''}" download>
+      ${data.audioOnly ? 'Download audio' : 'Download'}
+    </a>
+  ` : '';
+
+  // Archived copies are already saved and may outlive the original
+  const saveHtml = data.archived
+    ? '<span class="archived-label">Saved copy</span>'
+    : originalUrl ? `<button type="button" class="save-btn" data-url="${escapeHtml(originalUrl)}">Save</button>` : '';
 
   const statsHtml = stats ? `
     <div class="stats">
       ${stats.replies !== undefined ? `<span>${formatNumber(stats.replies)} replies</span>` : ''}
       ${stats.retweets !== undefined ? `<span>${formatNumber(stats.retweets)} retweets</span>` : ''}
+      ${stats.shares !== undefined ? `<span>${formatNumber(stats.shares)} shares</span>` : ''}
       ${stats.likes !== undefined ? `<span>${formatNumber(stats.likes)} likes</span>` : ''}
+      ${stats.views ? `<span>${formatNumber(stats.views)} views</span>` : ''}
     </div>
   ` : '';
 
-  const html = `
+  return `
+    ${createPostContextHtml(retweetedBy, inReplyTo)}
     <div class="post-header">
       ${author.avatar
         ? `<img class="avatar" src="${author.avatar}" alt="${author.username}">`
@@ -238,33 +520,472 @@ function renderContent(data) {
         </div>
         <div class="username">@${escapeHtml(author.username)}</div>
       </div>
-      <span class="platform-badge">${platform}</span>
+      ${createPlatformBadgeHtml(platform)}
     </div>
     <div class="post-content">
       ${content.text ? `<p class="post-text">${escapeHtml(content.text)}</p>` : ''}
       ${createMediaHtml(content.media)}
+      ${createMusicHtml(music, photoMode)}
       ${createQuotedTweetHtml(quotedTweet)}
     </div>
     <div class="post-footer">
       <span class="timestamp">${formatTimestamp(timestamp)}</span>
+      <div class="post-actions">
+        ${downloadHtml}
+        ${saveHtml}
+      </div>
       ${statsHtml}
     </div>
   `;
+}
+
+/**
+ * Create a stacked thread view, one card per tweet
+ */
+function createThreadHtml(thread) {
+  return `
+    <div class="thread">
+      ${thread.map(post => `
+        <div class="thread-post ${post.role === 'parent' ? 'parent' : ''} ${post.focal ? 'focal' : ''}">
+          ${createPostHtml(post)}
+        </div>
+      `).join('')}
+    </div>
+  `;
+}
+
+/**
+ * Preview image for a post: the first photo, or the first video's poster
+ */
+function getPreviewSrc(post) {
+  const item = post.content?.media?.[0];
+  if (!item) return '';
+  return item.type === 'image'
+    ? item.proxyUrl || item.url
+    : item.proxyThumbnail || item.thumbnail || '';
+}
+
+/**
+ * Create the profile header: banner, avatar, bio, counts, tabs and highlights
+ */
+function createProfileHeaderHtml(data) {
+  const { platform, profile } = data;
+
+  const statsHtml = profile.stats ? `
+    <div class="profile-stats">
+      ${Object.entries(profile.stats).map(([label, value]) => `
+        <span><strong>${formatNumber(value)}</strong> ${label}</span>
+      `).join('')}
+    </div>
+  ` : '';
+
+  const highlightsHtml = profile.highlights?.length ? `
+    <div class="highlights">
+      ${profile.highlights.map(highlight => `
+        <button type="button" class="highlight" data-url="${escapeHtml(highlight.url)}">
+          ${highlight.cover
+            ? `<img class="highlight-cover" src="${escapeHtml(highlight.cover)}" alt="" loading="lazy">`
+            : '<span class="highlight-cover"></span>'
+          }
+          <span class="highlight-title">${escapeHtml(highlight.title)}</span>
+        </button>
+      `).join('')}
+    </div>
+  ` : '';
+
+  const tabsHtml = profile.tabs?.length ? `
+    <nav class="profile-tabs">
+      ${profile.tabs.map(tab => `
+        <button type="button" class="profile-tab ${tab.kind === data.kind ? 'active' : ''}" data-url="${escapeHtml(tab.url)}">
+          ${escapeHtml(tab.label)}
+        </button>
+      `).join('')}
+    </nav>
+  ` : '';
+
+  return `
+    ${profile.banner ? `<img class="profile-banner" src="${escapeHtml(profile.banner)}" alt="">` : ''}
+    <div class="post-header">
+      ${profile.avatar
+        ? `<img class="avatar" src="${escapeHtml(profile.avatar)}" alt="${escapeHtml(profile.username)}">`
+        : '<div class="avatar"></div>'
+      }
+      <div class="author-info">
+        <div class="display-name">
+          ${escapeHtml(profile.displayName || profile.username)}
+          ${profile.verified ? '<span class="verified-badge">✓</span>' : ''}
+        </div>
+        <a class="username" href="${escapeHtml(profile.url)}" target="_blank" rel="noopener">@${escapeHtml(profile.username)}</a>
+      </div>
+      ${createPlatformBadgeHtml(platform)}
+    </div>
+    ${profile.bio || statsHtml ? `
+      <div class="profile-details">
+        ${profile.bio ? `<p class="profile-bio">${escapeHtml(profile.bio)}</p>` : ''}
+        ${statsHtml}
+      </div>
+    ` : ''}
+    ${highlightsHtml}
+    ${tabsHtml}
+  `;
+}
+
+/**
+ * Create a grid tile for a post or story, marked when it's a video or carousel
+ */
+function createProfileTileHtml(post, index) {
+  const media = post.content?.media || [];
+  const src = getPreviewSrc(post);
+  const badge = media.length > 1 ? '❐' : media[0]?.type === 'video' ? '▶' : '';
+
+  return `
+    <button type="button" class="profile-tile" data-index="${index}">
+      ${src ? `<img src="${escapeHtml(src)}" alt="${escapeHtml((post.content?.text || '').slice(0, 100))}" loading="lazy">` : ''}
+      ${badge ? `<span class="tile-badge">${badge}</span>` : ''}
+    </button>
+  `;
+}
+
+/**
+ * Create a profile page: header, then an empty list for the posts, which
+ * appendProfileItems fills as a grid, a feed of cards or a strip of stories
+ */
+function createProfileHtml(data) {
+  const emptyText = data.profile.private ? 'This account is private' : 'No posts to show';
+  const listClass = {
+    feed: 'profile-feed',
+    grid: 'profile-grid',
+    stories: 'profile-grid story-strip',
+  }[data.layout];
+
+  return `
+    <div class="profile">
+      ${createProfileHeaderHtml(data)}
+      ${data.title ? `<h2 class="reel-title">${escapeHtml(data.title)}</h2>` : ''}
+      ${data.items.length === 0 ? `<p class="profile-empty">${emptyText}</p>` : ''}
+      <div class="profile-items ${listClass}"></div>
+      ${data.cursor ? `<button type="button" class="load-more-btn" data-cursor="${escapeHtml(data.cursor)}">Load more</button>` : ''}
+    </div>
+  `;
+}
+
+/**
+ * Fetch the next page of a profile
+ */
+async function loadProfilePage(url, cursor) {
+  const response = await fetch(`/api/profile?${new URLSearchParams({ url, cursor })}`);
+  const data = await response.json();
+
+  if (!response.ok) {
+    throw toApiError(data);
+  }
+  return data;
+}
+
+/**
+ * Add posts to a profile's list: full cards in a feed, tiles otherwise
+ * Tiles refer to their post by its index in `items`
+ */
+function appendProfileItems(root, data, items, newItems) {
+  const list = root.querySelector('.profile-items');
+
+  if (data.layout === 'feed') {
+    for (const post of newItems) {
+      const card = document.createElement('div');
+      card.className = 'profile-post';
+      renderContent(post, card);
+      list.appendChild(card);
+    }
+  } else {
+    list.insertAdjacentHTML('beforeend', newItems.map((post, i) => createProfileTileHtml(post, items.length + i)).join(''));
+  }
+  items.push(...newItems);
+}
+
+/**
+ * Append the next page of posts to a profile
+ * @returns {Promise<boolean>} - Whether the page loaded
+ */
+async function loadMorePosts(button, data, items) {
+  button.disabled = true;
+  button.textContent = 'Loading…';
+
+  try {
+    const page = await loadProfilePage(data.originalUrl, button.dataset.cursor);
+    appendProfileItems(button.closest('.profile'), data, items, page.items);
+
+    if (!page.cursor) {
+      button.remove();
+      return true;
+    }
+    button.dataset.cursor = page.cursor;
+    button.textContent = 'Load more';
+    button.disabled = false;
+    return true;
+  } catch (error) {
+    button.textContent = `${error.message} - try again`;
+    button.disabled = false;
+    return false;
+  }
+}
+
+/**
+ * Open a link in the main view, as if it had been submitted
+ */
+function openLink(url) {
+  urlInput.value = url;
+  resizeInput();
+  form.requestSubmit();
+}
+
+/**
+ * Render a profile page, wiring up its tiles, links and pagination
+ */
+function renderProfile(data, container = contentContainer) {
+  container.innerHTML = createProfileHtml(data);
+  container.hidden = false;
+
+  const root = container.querySelector('.profile');
+  const isReel = data.layout === 'stories';
+
+  // Later pages are appended here, tiles refer to posts by index
+  const items = [];
+  appendProfileItems(root, data, items, data.items);
+
+  root.addEventListener('click', (e) => {
+    const tile = e.target.closest('.profile-tile');
+    const link = e.target.closest('.profile-tab, .highlight');
+    const loadMore = e.target.closest('.load-more-btn');
+
+    if (tile) {
+      const index = Number(tile.dataset.index);
+      isReel ? openStoryViewer(items, index) : openPostOverlay(items[index]);
+    } else if (link) {
+      openLink(link.dataset.url);
+    } else if (loadMore && !loadMore.disabled) {
+      loadMorePosts(loadMore, data, items);
+    }
+  });
+
+  // Load the next page as the end of the list nears, the button stays for retries
+  const loadMore = root.querySelector('.load-more-btn');
+  if (loadMore && 'IntersectionObserver' in window) {
+    const observer = new IntersectionObserver(async (entries) => {
+      if (!loadMore.isConnected) return observer.disconnect();
+      if (!entries.some(entry => entry.isIntersecting) || loadMore.disabled) return;
+
+      const loaded = await loadMorePosts(loadMore, data, items);
+      if (!loadMore.isConnected) return observer.disconnect();
+      // Observing again fires straight away if the button is still in view
+      if (loaded) {
+        observer.unobserve(loadMore);
+        observer.observe(loadMore);
+      }
+    }, { rootMargin: '400px' });
+    observer.observe(loadMore);
+  }
+
+  // A story link opens straight into the viewer, feed cards wait for a tap
+  if (isReel && container === contentContainer && items.length > 0) {
+    openStoryViewer(items, data.startIndex || 0);
+  }
+}
+
+/**
+ * Show a post from a profile grid over the page
+ * Previews, which only carry part of the post, are extracted in full instead
+ */
+function openPostOverlay(post) {
+  if (post.preview) {
+    return openLink(post.originalUrl);
+  }
+
+  const overlay = document.createElement('div');
+  overlay.className = 'post-overlay';
+  overlay.innerHTML = '<article class="content-container"></article>';
+  renderContent(post, overlay.firstElementChild);
+
+  const close = () => {
+    document.removeEventListener('keydown', onKeydown);
+    overlay.remove();
+  };
+  const onKeydown = (e) => {
+    if (e.key === 'Escape') close();
+  };
+  overlay.addEventListener('click', (e) => {
+    if (e.target === overlay) close();
+  });
+  document.addEventListener('keydown', onKeydown);
+  document.body.appendChild(overlay);
+}
+
+/**
+ * Full-screen story viewer: tap the right side for the next story and the
+ * left side for the previous one. Photos move on after a few seconds,
+ * videos when they end, and the viewer closes after the last story
+ */
+function openStoryViewer(items, startIndex = 0) {
+  const viewer = document.createElement('div');
+  viewer.className = 'story-viewer';
+  viewer.innerHTML = `
+    <div class="story-progress">
+      ${items.map(() => '<span class="story-segment"><span></span></span>').join('')}
+    </div>
+    <div class="story-header"></div>
+    <div class="story-media"></div>
+    <button type="button" class="story-nav story-prev" aria-label="Previous story"></button>
+    <button type="button" class="story-nav story-next" aria-label="Next story"></button>
+    <button type="button" class="story-close" aria-label="Close">×</button>
+  `;
 
-  contentContainer.innerHTML = html;
-  contentContainer.hidden = false;
+  const segments = viewer.querySelectorAll('.story-segment');
+  const header = viewer.querySelector('.story-header');
+  const stage = viewer.querySelector('.story-media');
+  let index = startIndex;
+  let timer = null;
+
+  const close = () => {
+    clearTimeout(timer);
+    document.removeEventListener('keydown', onKeydown);
+    viewer.remove();
+  };
+
+  const show = (next) => {
+    clearTimeout(timer);
+    if (next >= items.length) return close();
+    index = Math.max(0, next);
+
+    const story = items[index];
+    const item = story.content.media[0];
+    const src = item.proxyUrl || item.url;
+
+    segments.forEach((segment, i) => {
+      segment.classList.toggle('seen', i < index);
+      segment.classList.toggle('active', i === index);
+      segment.style.removeProperty('--story-duration');
+    });
+
+    header.innerHTML = `
+      ${story.author.avatar ? `<img class="avatar" src="${escapeHtml(story.author.avatar)}" alt="">` : ''}
+      <span class="story-username">${escapeHtml(story.author.username)}</span>
+      <span class="story-time">${formatTimestamp(story.timestamp)}</span>
+    `;
+
+    if (item.type === 'video') {
+      const poster = item.proxyThumbnail || item.thumbnail;
+      stage.innerHTML = `<video src="${escapeHtml(src)}" playsinline ${poster ? `poster="${escapeHtml(poster)}"` : ''}></video>`;
+      const video = stage.querySelector('video');
+      const segment = segments[index];
+      video.addEventListener('loadedmetadata', () => {
+        segment.style.setProperty('--story-duration', `${video.duration}s`);
+      });
+      video.addEventListener('ended', () => show(index + 1));
+      // Browsers only autoplay with sound after a tap, fall back to muted
+      video.play().catch(() => {
+        video.muted = true;
+        video.play().catch(() => {});
+      });
+    } else {
+      stage.innerHTML = `<img src="${escapeHtml(src)}" alt="Story ${index + 1}">`;
+      segments[index].style.setProperty('--story-duration', `${STORY_PHOTO_DURATION}ms`);
+      timer = setTimeout(() => show(index + 1), STORY_PHOTO_DURATION);
+    }
+  };
+
+  const onKeydown = (e) => {
+    if (e.key === 'Escape') close();
+    if (e.key === 'ArrowRight') show(index + 1);
+    if (e.key === 'ArrowLeft') show(index - 1);
+  };
+
+  viewer.querySelector('.story-prev').addEventListener('click', () => show(index - 1));
+  viewer.querySelector('.story-next').addEventListener('click', () => show(index + 1));
+  viewer.querySelector('.story-close').addEventListener('click', close);
+  document.addEventListener('keydown', onKeydown);
+
+  document.body.appendChild(viewer);
+  show(startIndex);
+}
+
+/**
+ * Render content to the page, or into a feed card
+ */
+function renderContent(data, container = contentContainer) {
+  // Check if this is embed mode
+  if (data.embedMode) {
+    return renderEmbed(data, container);
+  }
+
+  // Profiles, stories and highlights have their own layout
+  if (data.type === 'profile') {
+    return renderProfile(data, container);
+  }
+
+  // Unrolled threads render as a stack of posts
+  const html = data.thread?.length > 1
+    ? createThreadHtml(data.thread)
+    : createPostHtml(data);
+
+  container.innerHTML = html;
+  container.hidden = false;
 
   // Initialize carousel if present
-  initCarousel();
+  initCarousel(container);
+  initQualityPickers(container);
+  initSubtitlePickers(container);
 }
 
 /**
- * Initialize carousel functionality
+ * Swap video sources when a quality is picked, keeping playback position
  */
-function initCarousel() {
-  const carousel = contentContainer.querySelector('.carousel');
-  if (!carousel) return;
+function initQualityPickers(container = contentContainer) {
+  container.querySelectorAll('.quality-select').forEach(select => {
+    select.addEventListener('change', () => {
+      const video = select.closest('.media-item').querySelector('video');
+      const source = video.querySelector('source');
+      const position = video.currentTime;
+      const wasPlaying = !video.paused;
 
+      source.src = select.value;
+      video.load();
+      video.addEventListener('loadedmetadata', () => {
+        video.currentTime = position;
+        if (wasPlaying) video.play().catch(() => {});
+      }, { once: true });
+    });
+  });
+}
+
+/**
+ * Show the subtitle track picked in the language picker
+ * Reloading the video for a quality change resets track modes, so the
+ * choice is applied again whenever new metadata loads
+ */
+function initSubtitlePickers(container = contentContainer) {
+  container.querySelectorAll('.subtitle-select').forEach(select => {
+    const video = select.closest('.media-item').querySelector('video');
+    const apply = () => {
+      for (const track of video.textTracks) {
+        track.mode = track.language === select.value ? 'showing' : 'disabled';
+      }
+    };
+
+    select.addEventListener('change', apply);
+    video.addEventListener('loadedmetadata', apply);
+  });
+}
+
+/**
+ * Initialize carousel functionality for every carousel in a container
+ */
+function initCarousel(container = contentContainer) {
+  container.querySelectorAll('.carousel').forEach(initCarouselElement);
+}
+
+/**
+ * Wire up dots and scrolling for one carousel
+ */
+function initCarouselElement(carousel) {
   const inner = carousel.querySelector('.carousel-inner');
   const dots = carousel.querySelectorAll('.carousel-dot');
 
@@ -298,66 +1019,560 @@ window.openLightbox = function(src) {
   document.body.appendChild(lightbox);
 };
 
+/**
+ * Extraction options picked in the form
+ */
+function getExtractOptions() {
+  return {
+    thread: threadToggle.checked,
+    threadParents: threadToggle.checked && threadParentsToggle.checked,
+    audio: audioToggle.checked,
+  };
+}
+
+/**
+ * Turn an API error body into an Error carrying code/retryable
+ */
+function toApiError(data) {
+  const error = new Error(data.message || 'Failed to extract content');
+  error.code = data.code;
+  error.retryable = !!data.retryable;
+  return error;
+}
+
 /**
  * Extract content from URL
  */
-async function extractContent(url) {
+async function extractContent(url, { refresh = false } = {}) {
   const response = await fetch('/api/extract', {
     method: 'POST',
     headers: {
       'Content-Type': 'application/json',
     },
-    body: JSON.stringify({ url }),
+    body: JSON.stringify({ url, refresh, ...getExtractOptions() }),
   });
 
   const data = await response.json();
 
   if (!response.ok) {
-    throw new Error(data.message || 'Failed to extract content');
+    throw toApiError(data);
   }
 
   return data;
 }
 
+/**
+ * Extract content from URL, reporting progress as the server streams it
+ * Sets activeExtraction so the extraction can be cancelled, which closes the
+ * stream and makes the server abort yt-dlp or the browser page
+ */
+function extractContentWithProgress(url, { refresh = false } = {}) {
+  const { thread, threadParents, audio } = getExtractOptions();
+  const params = new URLSearchParams({ url });
+  if (refresh) params.set('refresh', '1');
+  if (thread) params.set('thread', '1');
+  if (threadParents) params.set('threadParents', '1');
+  if (audio) params.set('audio', '1');
+
+  return new Promise((resolve, reject) => {
+    const source = new EventSource(`/api/extract/events?${params}`);
+
+    const finish = (error, data) => {
+      source.close();
+      activeExtraction = null;
+      error ? reject(error) : resolve(data);
+    };
+
+    source.addEventListener('progress', (e) => addProgressStep(JSON.parse(e.data)));
+    source.addEventListener('result', (e) => finish(null, JSON.parse(e.data)));
+    source.addEventListener('failure', (e) => finish(toApiError(JSON.parse(e.data))));
+    source.onerror = () => finish(toApiError({
+      message: 'Lost connection to the server',
+      retryable: true,
+    }));
+
+    activeExtraction = {
+      cancel: () => finish(toApiError({
+        code: 'cancelled',
+        message: 'The extraction was cancelled',
+        retryable: true,
+      })),
+    };
+  });
+}
+
+/**
+ * Extract several URLs at once
+ * Calls onResult with each NDJSON line ({index, url, ok, result|error}) as
+ * the server streams it back
+ */
+async function extractBatch(urls, onResult, { refresh = false, signal } = {}) {
+  const response = await fetch('/api/extract/batch', {
+    method: 'POST',
+    signal,
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({ urls, refresh, ...getExtractOptions() }),
+  });
+
+  if (!response.ok) {
+    throw toApiError(await response.json());
+  }
+
+  const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+  let buffer = '';
+
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
+
+    buffer += value;
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+
+    for (const line of lines) {
+      if (line.trim()) onResult(JSON.parse(line));
+    }
+  }
+}
+
+/**
+ * Split the input into individual URLs (one per line or space separated)
+ */
+function getInputUrls() {
+  return urlInput.value.split(/\s+/).filter(Boolean);
+}
+
+/**
+ * Render a failed feed card with its own retry button
+ */
+function renderCardError(card, url, error) {
+  const guidance = ERROR_GUIDANCE[error.code];
+
+  card.innerHTML = `
+    <div class="feed-card-error">
+      <p class="feed-card-url">${escapeHtml(url)}</p>
+      <p class="feed-card-message">${escapeHtml(error.message || 'Failed to extract content')}</p>
+      ${guidance ? `<p class="error-guidance">${escapeHtml(guidance)}</p>` : ''}
+      ${error.retryable ? '<button type="button" class="retry-btn">Try again</button>' : ''}
+    </div>
+  `;
+
+  card.querySelector('.retry-btn')?.addEventListener('click', async () => {
+    card.innerHTML = createCardLoadingHtml(url);
+    try {
+      renderContent(await extractContent(url, { refresh: true }), card);
+    } catch (retryError) {
+      renderCardError(card, url, retryError);
+    }
+  });
+}
+
+/**
+ * Placeholder shown in a feed card until its result arrives
+ */
+function createCardLoadingHtml(url) {
+  return `
+    <div class="feed-card-loading">
+      <span class="spinner"></span>
+      <span class="feed-card-url">${escapeHtml(url)}</span>
+    </div>
+  `;
+}
+
+/**
+ * Render a feed of cards for several URLs, filling each in as it arrives
+ */
+async function renderFeed(urls, { refresh = false } = {}) {
+  const cards = urls.map(url => {
+    const card = document.createElement('article');
+    card.className = 'content-container feed-card';
+    card.innerHTML = createCardLoadingHtml(url);
+    return card;
+  });
+
+  feedContainer.replaceChildren(...cards);
+  feedContainer.hidden = false;
+
+  // Aborting the request makes the server stop its remaining extractions
+  const controller = new AbortController();
+  activeExtraction = { cancel: () => controller.abort() };
+  addProgressStep({ stage: 'queued', message: `Extracting ${urls.length} links`, elapsedMs: 0 });
+
+  try {
+    await extractBatch(urls, (line) => {
+      const card = cards[line.index];
+      if (!card) return;
+
+      if (line.ok) {
+        renderContent(line.result, card);
+        rememberPost(line.result);
+      } else {
+        renderCardError(card, line.url, line.error);
+      }
+    }, { refresh, signal: controller.signal });
+  } catch (error) {
+    if (error.name !== 'AbortError') throw error;
+  } finally {
+    activeExtraction = null;
+  }
+
+  // Anything still loading never got a line: cancelled, or the connection dropped
+  const pending = controller.signal.aborted
+    ? { code: 'cancelled', message: 'Cancelled', retryable: true }
+    : { message: 'No response for this link', retryable: true };
+  cards.forEach((card, index) => {
+    if (card.querySelector('.feed-card-loading')) {
+      renderCardError(card, urls[index], pending);
+    }
+  });
+}
+
 /**
  * Handle form submission
  */
-async function handleSubmit(e) {
-  e.preventDefault();
+async function handleSubmit(e, { refresh = false } = {}) {
+  e?.preventDefault();
 
-  const url = urlInput.value.trim();
-  if (!url) return;
+  const urls = getInputUrls();
+  if (urls.length === 0) return;
 
   hideError();
   contentContainer.hidden = true;
+  feedContainer.hidden = true;
+  archiveContainer.hidden = true;
   setLoading(true);
 
   try {
-    const data = await extractContent(url);
-    renderContent(data);
+    if (urls.length > 1) {
+      history.replaceState(null, '', '/');
+      await renderFeed(urls, { refresh });
+    } else {
+      const data = await extractContentWithProgress(urls[0], { refresh });
+      renderContent(data);
+      rememberPost(data);
+      // Make the address bar a shareable link to this post
+      history.replaceState(null, '', data.permalink || '/');
+    }
   } catch (error) {
-    showError(error.message || 'Something went wrong. Please try again.');
+    showError(error);
   } finally {
     setLoading(false);
   }
 }
 
+/**
+ * Retry a failed extraction, skipping any cached result
+ */
+function handleRetry() {
+  handleSubmit(null, { refresh: true });
+}
+
+/**
+ * Cancel the extraction in flight
+ */
+function handleCancel() {
+  activeExtraction?.cancel();
+}
+
+/**
+ * Whether a URL is on one of the supported platforms' hosts
+ */
+function isSupportedUrl(url) {
+  let hostname;
+  try {
+    hostname = new URL(url).hostname.toLowerCase();
+  } catch {
+    return false;
+  }
+  return platforms.some(platform =>
+    platform.hosts.some(host => hostname === host || hostname.endsWith(`.${host}`))
+  );
+}
+
+/**
+ * Load the supported platforms and update the "Supports:" line
+ */
+async function loadPlatforms() {
+  try {
+    const response = await fetch('/api/platforms');
+    if (!response.ok) return;
+
+    ({ platforms } = await response.json());
+    supportedPlatformsText.textContent = `Supports: ${platforms.map(p => p.name).join(', ')}`;
+  } catch {
+    // Keep the static text, paste detection just won't auto-submit
+  }
+}
+
 /**
  * Handle paste event - auto-submit if it looks like a valid URL
  */
 function handlePaste(e) {
   // Small delay to allow the paste to complete
   setTimeout(() => {
-    const url = urlInput.value.trim();
-    if (url && (url.includes('twitter.com') || url.includes('x.com') || url.includes('instagram.com') || url.includes('tiktok.com'))) {
-      form.dispatchEvent(new Event('submit'));
+    resizeInput();
+    const urls = getInputUrls();
+    if (urls.length > 0 && urls.every(isSupportedUrl)) {
+      form.requestSubmit();
     }
   }, 100);
 }
 
+/**
+ * Enter submits, Shift+Enter adds another line for multiple links
+ */
+function handleInputKeydown(e) {
+  if (e.key === 'Enter' && !e.shiftKey) {
+    e.preventDefault();
+    form.requestSubmit();
+  }
+}
+
+/**
+ * Grow the input with the number of pasted links, up to a few lines
+ */
+function resizeInput() {
+  urlInput.rows = Math.min(Math.max(urlInput.value.split('\n').length, 1), 6);
+}
+
+/**
+ * Save a post to the server's archive, with its media
+ */
+async function handleSaveClick(e) {
+  const button = e.target.closest('.save-btn');
+  if (!button) return;
+
+  button.disabled = true;
+  button.textContent = 'Saving...';
+
+  try {
+    const response = await fetch('/api/archive', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ url: button.dataset.url, ...getExtractOptions() }),
+    });
+    const summary = await response.json();
+    if (!response.ok) {
+      throw toApiError(summary);
+    }
+    button.textContent = summary.missingMedia ? 'Saved, some media missing' : 'Saved';
+    if (summary.missingMedia) {
+      button.title = `${summary.missingMedia} media file(s) couldn't be downloaded and will stop working when the original link expires`;
+    }
+  } catch (error) {
+    button.disabled = false;
+    button.textContent = 'Save';
+    button.title = error.message;
+  }
+}
+
+/**
+ * Create the HTML for one saved post in the archive list
+ */
+function createArchiveItemHtml(entry, { recent = false } = {}) {
+  const name = entry.author.displayName || entry.author.username;
+  const key = recent
+    ? `data-permalink="${escapeHtml(entry.permalink)}"`
+    : `data-id="${escapeHtml(entry.id)}"`;
+  return `
+    <li class="archive-item" ${key}>
+      ${entry.thumbnail
+        ? `<img class="archive-thumbnail" src="${escapeHtml(entry.thumbnail)}" alt="" loading="lazy">`
+        : '<div class="archive-thumbnail"></div>'
+      }
+      <button type="button" class="archive-open">
+        <span class="archive-meta">
+          ${createPlatformBadgeHtml(entry.platform)}
+          ${escapeHtml(name)} · ${recent ? 'viewed recently' : `saved ${formatTimestamp(entry.savedAt)}`}
+          ${entry.audioOnly ? ' · audio' : ''}
+          ${entry.missingMedia ? `<span class="archive-missing">· ${entry.missingMedia} media not saved</span>` : ''}
+        </span>
+        <span class="archive-text">${escapeHtml(entry.text || 'No text')}</span>
+      </button>
+      ${recent ? '' : '<button type="button" class="archive-delete" aria-label="Delete saved post">Delete</button>'}
+    </li>
+  `;
+}
+
+/**
+ * Load the archive list, filtered by the search box
+ */
+async function loadArchive() {
+  const params = new URLSearchParams({ q: archiveSearch.value });
+  try {
+    const response = await fetch(`/api/archive?${params}`);
+    const { entries } = await response.json();
+    archiveList.innerHTML = entries.map(createArchiveItemHtml).join('');
+    archiveEmpty.textContent = archiveSearch.value ? 'No saved posts match' : 'No saved posts yet';
+    archiveEmpty.hidden = entries.length > 0;
+  } catch {
+    await loadRecentPosts();
+  }
+}
+
+/**
+ * Offline stand-in for the archive: posts recently viewed on this device
+ */
+async function loadRecentPosts() {
+  const cache = 'caches' in window ? await caches.open(POSTS_CACHE) : null;
+  const keys = cache ? await cache.keys() : [];
+  const posts = await Promise.all(keys.reverse().map(async key => (await cache.match(key)).json()));
+
+  const needle = archiveSearch.value.toLowerCase();
+  const entries = posts
+    .map(post => ({
+      permalink: post.permalink,
+      platform: post.platform,
+      author: post.author,
+      text: post.content?.text || '',
+      thumbnail: post.content?.media?.[0]?.proxyThumbnail || '',
+    }))
+    .filter(entry => [entry.text, entry.author.username, entry.author.displayName]
+      .some(value => (value || '').toLowerCase().includes(needle)));
+
+  archiveList.innerHTML = entries.map(entry => createArchiveItemHtml(entry, { recent: true })).join('');
+  archiveEmpty.textContent = "You're offline and no posts have been viewed on this device yet";
+  archiveEmpty.hidden = entries.length > 0;
+}
+
+/**
+ * Switch to the archive view
+ */
+function showArchive() {
+  hideError();
+  contentContainer.hidden = true;
+  feedContainer.hidden = true;
+  archiveContainer.hidden = false;
+  history.replaceState(null, '', '/');
+  loadArchive();
+}
+
+/**
+ * Open or delete a saved post from the archive list
+ */
+async function handleArchiveClick(e) {
+  const item = e.target.closest('.archive-item');
+  if (!item) return;
+  if (item.dataset.permalink) {
+    return showOfflinePost(item.dataset.permalink);
+  }
+  const url = `/api/archive/${encodeURIComponent(item.dataset.id)}`;
+
+  if (e.target.closest('.archive-delete')) {
+    const response = await fetch(url, { method: 'DELETE' });
+    if (!response.ok) {
+      return showError(toApiError(await response.json()));
+    }
+    item.remove();
+    archiveEmpty.hidden = archiveList.children.length > 0;
+    return;
+  }
+
+  if (e.target.closest('.archive-open')) {
+    const response = await fetch(url);
+    if (!response.ok) {
+      return showError(toApiError(await response.json()));
+    }
+    const entry = await response.json();
+    archiveContainer.hidden = true;
+    renderContent(entry.result);
+  }
+}
+
+/**
+ * Hand a rendered post to the service worker for offline viewing
+ */
+function rememberPost(data) {
+  if (data.permalink && !data.embedMode) {
+    navigator.serviceWorker?.controller?.postMessage({ type: 'post-viewed', result: data });
+  }
+}
+
+/**
+ * Show a recently viewed post from the device cache
+ * Used when the service worker served the bare shell for a permalink offline
+ */
+async function showOfflinePost(permalink = location.pathname) {
+  const cached = 'caches' in window && await caches.match(permalink, { cacheName: POSTS_CACHE });
+  if (!cached) {
+    return showError("You're offline and this post hasn't been viewed on this device");
+  }
+
+  hideError();
+  archiveContainer.hidden = true;
+  renderContent(await cached.json());
+  history.replaceState(null, '', permalink);
+}
+
+/**
+ * Submit a link shared from another app through the share target
+ * Apps put the link in url, text or title, often with other words around it
+ * Returns whether there was a link
+ */
+function submitSharedLink() {
+  const params = new URLSearchParams(location.search);
+  const shared = ['url', 'text', 'title']
+    .map(name => params.get(name)?.match(/https?:\/\/\S+/)?.[0])
+    .find(Boolean);
+  if (!shared) return false;
+
+  history.replaceState(null, '', '/');
+  urlInput.value = shared;
+  form.requestSubmit();
+  return true;
+}
+
+/**
+ * Render the post (or error) a /v/ permalink page was served with
+ * Returns whether there was anything to render
+ */
+function hydrateInitialState() {
+  const state = window.__INITIAL_STATE__;
+  if (!state) return false;
+
+  if (state.result) {
+    urlInput.value = state.result.originalUrl || '';
+    renderContent(state.result);
+    rememberPost(state.result);
+  } else if (state.error) {
+    showError(toApiError(state.error));
+  }
+  return true;
+}
+
 // Event listeners
 form.addEventListener('submit', handleSubmit);
+retryBtn.addEventListener('click', handleRetry);
+cancelBtn.addEventListener('click', handleCancel);
 urlInput.addEventListener('paste', handlePaste);
+urlInput.addEventListener('keydown', handleInputKeydown);
+urlInput.addEventListener('input', resizeInput);
+document.addEventListener('click', handleSaveClick);
+archiveBtn.addEventListener('click', showArchive);
+archiveList.addEventListener('click', handleArchiveClick);
+archiveSearch.addEventListener('input', () => {
+  clearTimeout(archiveSearchTimer);
+  archiveSearchTimer = setTimeout(loadArchive, 250);
+});
+
+// Permalink pages arrive with the post already extracted, links shared from
+// other apps are submitted right away, and a permalink without a post means
+// the service worker served the shell offline
+if (!hydrateInitialState() && !submitSharedLink()) {
+  if (location.pathname.startsWith('/v/')) {
+    showOfflinePost();
+  } else {
+    urlInput.focus();
+  }
+}
+loadPlatforms();
 
-// Focus input on load
-urlInput.focus();
+if ('serviceWorker' in navigator) {
+  navigator.serviceWorker.register('/sw.js').catch(error => {
+    console.warn('Service worker registration failed:', error);
+  });
+}
@@ -0,0 +1,118 @@
+/**
+ * SM Viewer - Service Worker
+ * Caches the app shell so the viewer opens offline, proxied images so
+ * recently viewed posts still have their pictures, and the posts themselves
+ * (sent over by app.js) under their /v/ permalinks
+ */
+
+const SHELL_CACHE = 'sm-viewer-shell-v1';
+const MEDIA_CACHE = 'sm-viewer-media-v1';
+const POSTS_CACHE = 'sm-viewer-posts-v1';
+
+const SHELL_FILES = ['/', '/app.js', '/styles.css', '/manifest.webmanifest', '/icon.svg'];
+
+// How many recently viewed posts and media files to keep
+const MAX_POSTS = 30;
+const MAX_MEDIA = 150;
+
+/**
+ * Drop the oldest entries once a cache grows past its limit
+ * Cache keys come back in insertion order
+ */
+async function trimCache(name, maxEntries) {
+  const cache = await caches.open(name);
+  const keys = await cache.keys();
+  for (const key of keys.slice(0, Math.max(keys.length - maxEntries, 0))) {
+    await cache.delete(key);
+  }
+}
+
+/**
+ * App shell: serve from cache, refresh it in the background
+ */
+async function staleWhileRevalidate(request) {
+  const cache = await caches.open(SHELL_CACHE);
+  const cached = await cache.match(request);
+  const network = fetch(request)
+    .then(response => {
+      if (response.ok) cache.put(request, response.clone());
+      return response;
+    })
+    .catch(() => cached);
+  return cached || network;
+}
+
+/**
+ * Pages: always try the network (permalinks are rendered fresh), fall back
+ * to the shell, which loads a saved copy of the post when it has one
+ */
+async function networkFirstPage(request) {
+  try {
+    return await fetch(request);
+  } catch {
+    return (await caches.match('/', { cacheName: SHELL_CACHE })) || Response.error();
+  }
+}
+
+/**
+ * Proxied images: cache-first, media URLs never change content
+ */
+async function cacheFirstMedia(request) {
+  const cache = await caches.open(MEDIA_CACHE);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  const type = response.headers.get('content-type') || '';
+  if (response.status === 200 && type.startsWith('image/')) {
+    await cache.put(request, response.clone());
+    trimCache(MEDIA_CACHE, MAX_MEDIA);
+  }
+  return response;
+}
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      .then(cache => cache.addAll(SHELL_FILES))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  const current = [SHELL_CACHE, MEDIA_CACHE, POSTS_CACHE];
+  event.waitUntil(
+    caches.keys()
+      .then(names => Promise.all(names.filter(name => !current.includes(name)).map(name => caches.delete(name))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+  if (request.mode === 'navigate') {
+    event.respondWith(networkFirstPage(request));
+  } else if (SHELL_FILES.includes(url.pathname)) {
+    event.respondWith(staleWhileRevalidate(request));
+  } else if (/^\/api\/(media|archive\/media)\//.test(url.pathname) && !request.headers.has('range')) {
+    // Videos are fetched in ranges and too big to keep, only images get cached
+    event.respondWith(cacheFirstMedia(request));
+  }
+});
+
+// app.js sends each post it renders, keyed by permalink for offline viewing
+self.addEventListener('message', (event) => {
+  const { type, result } = event.data || {};
+  if (type !== 'post-viewed' || !result?.permalink) return;
+
+  event.waitUntil(
+    caches.open(POSTS_CACHE)
+      .then(cache => cache.put(result.permalink, new Response(JSON.stringify(result), {
+        headers: { 'Content-Type': 'application/json' },
+      })))
+      .then(() => trimCache(POSTS_CACHE, MAX_POSTS))
+  );
+});
@@ -1,25 +1,193 @@
+const crypto = require('crypto');
 const express = require('express');
 const path = require('path');
-const { isTwitterUrl } = require('./lib/twitter');
-const { isInstagramUrl } = require('./lib/instagram');
-const { extractWithYtdlp, isYtdlpAvailable } = require('./lib/ytdlp');
+const {
+  getPlatforms,
+  getPlatformSummaries,
+  getPermalink,
+  getPermalinkTarget,
+  parseProfileUrl,
+} = require('./lib/platforms');
+const { downloadWithYtdlp, isYtdlpAvailable } = require('./lib/ytdlp');
+const { getRunnerStats } = require('./lib/ytdlpRunner');
+const { runPipeline } = require('./lib/pipeline');
+const { attachProxyUrls, handleMediaRequest } = require('./lib/mediaProxy');
+const { handleSubtitleRequest } = require('./lib/subtitles');
+const { getCacheKey, getOrExtract, getCacheStats } = require('./lib/cache');
+const { ExtractionError, toErrorBody } = require('./lib/errors');
+const { getBrowserPoolStats, closeBrowserPool } = require('./lib/browserPool');
+const { runWithConcurrency } = require('./lib/batch');
+const { normalizeUrl } = require('./lib/resolve');
+const { toAudioOnly } = require('./lib/audio');
+const { renderPostPage, renderErrorPage } = require('./lib/permalink');
+const { extractProfile, getProfileCacheKey } = require('./lib/profiles');
+const {
+  saveToArchive,
+  listArchive,
+  getArchiveEntry,
+  deleteArchiveEntry,
+  handleArchiveMediaRequest,
+} = require('./lib/archive');
+const {
+  loadSessions,
+  checkSessions,
+  describeSessions,
+  saveSession,
+  deleteSession,
+  getSessionStats,
+} = require('./lib/sessions');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Batch extraction limits
+const BATCH_MAX_URLS = parseInt(process.env.BATCH_MAX_URLS, 10) || 20;
+const BATCH_CONCURRENCY = parseInt(process.env.BATCH_CONCURRENCY, 10) || 3;
+
+// Public origin for absolute URLs in Open Graph tags, e.g. https://viewer.example
+// Falls back to the request's own host
+const PUBLIC_URL = (process.env.PUBLIC_URL || '').replace(/\/+$/, '');
+
+// Bearer token for the /api/admin routes, which are off when it's unset
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || '';
+
 // Middleware
 app.use(express.json());
 app.use(express.static(path.join(__dirname, 'public')));
 
 /**
- * Detect which platform a URL belongs to
+ * Error for links from a site we don't support, naming the ones we do
+ */
+function unsupportedError() {
+  const names = getPlatforms().map(platform => platform.name);
+  return new ExtractionError('unsupported', {
+    message: `Currently only ${new Intl.ListFormat('en').format(names)} links are supported`,
+  });
+}
+
+/**
+ * Send an error response using the shared error model
+ * Includes the pipeline report when the error came out of the extractor chain
+ */
+function sendError(res, error) {
+  const body = toErrorBody(error);
+  if (error.pipeline) {
+    body.pipeline = error.pipeline;
+  }
+  res.status(body.status).json(body);
+}
+
+/**
+ * Extract a single URL through the cache and extractor pipeline
+ * Throws an ExtractionError for invalid or unsupported URLs
+ * @param {string} requestedUrl - The URL to extract, normalized to its canonical post URL first
+ * @param {object} options
+ * @param {boolean} [options.refresh] - Skip the cache
+ * @param {boolean} [options.thread] - Unroll Twitter threads
+ * @param {boolean} [options.threadParents] - Include the parent chain in threads
+ * @param {boolean} [options.audio] - Return audio instead of video
+ * @param {AbortSignal} [options.signal] - Cancels the extraction
+ * @param {Function} [options.onProgress] - Called with (stage, message) as extraction proceeds
+ * @returns {Promise<object>} - Response body for the URL
+ */
+async function extractUrl(requestedUrl, { refresh, thread, threadParents, audio, signal, onProgress } = {}) {
+  // Basic URL validation
+  try {
+    new URL(requestedUrl);
+  } catch {
+    throw new ExtractionError('invalid-url');
+  }
+
+  // Short links and tracking parameters would otherwise defeat detection and the cache
+  const { url, platform, redirected } = await normalizeUrl(requestedUrl, { signal });
+  if (redirected) {
+    onProgress?.('resolved', 'Followed short link to the post');
+  }
+
+  if (!platform) {
+    // Not a post, but maybe a profile, story or highlight
+    const target = parseProfileUrl(url);
+    if (!target) {
+      throw unsupportedError();
+    }
+    return extractProfileUrl(url, target, { requestedUrl, refresh, signal, onProgress });
+  }
+
+  // Run the extractor chain (yt-dlp -> headless browser -> embed), reusing
+  // a cached or in-flight result for the same post when there is one
+  const options = { thread: !!thread, threadParents: !!threadParents };
+  const cacheKey = getCacheKey(url, platform, options);
+  const entry = await getOrExtract(cacheKey, (sharedSignal, sharedProgress) =>
+    runPipeline(url, platform, { ...options, signal: sharedSignal, onProgress: sharedProgress }), {
+    refresh: !!refresh,
+    signal,
+    onProgress,
+  });
+  if (entry.hit) {
+    onProgress?.('cache-hit', 'Loaded from cache');
+  }
+
+  // Clone so per-response data (proxy tokens) never leaks into the cache
+  const result = structuredClone(entry.value);
+  result.requestedUrl = requestedUrl;
+  result.canonicalUrl = url;
+  result.permalink = getPermalink(url);
+  result.cache = {
+    hit: entry.hit,
+    coalesced: !!entry.coalesced,
+    key: cacheKey,
+    cachedAt: new Date(entry.cachedAt).toISOString(),
+    expiresAt: new Date(entry.expiresAt).toISOString(),
+  };
+  console.log(`Extraction finished with ${result.pipeline.selected}${entry.hit ? ' (cached)' : ''}`);
+
+  // Audio mode reuses the cached video result, only the response differs
+  if (audio) {
+    toAudioOnly(result);
+  }
+  return attachProxyUrls(result);
+}
+
+/**
+ * Extract one page of a profile, story reel or highlight through the cache
+ * @param {string} url - Normalized profile URL
+ * @param {object} target - From parseProfileUrl()
+ * @param {object} options
+ * @param {string} [options.requestedUrl] - The link as submitted
+ * @param {string} [options.cursor] - Cursor from the previous page
+ * @param {boolean} [options.refresh] - Skip the cache
+ * @param {AbortSignal} [options.signal] - Cancels the extraction
+ * @param {Function} [options.onProgress] - Called with (stage, message) as extraction proceeds
+ * @returns {Promise<object>} - Response body for the page
  */
-function detectPlatform(url) {
-  if (isTwitterUrl(url)) return 'twitter';
-  if (isInstagramUrl(url)) return 'instagram';
-  // yt-dlp supports many more platforms
-  if (url.includes('tiktok.com')) return 'tiktok';
-  return null;
+async function extractProfileUrl(url, target, { requestedUrl = url, cursor, refresh, signal, onProgress } = {}) {
+  const cacheKey = getProfileCacheKey(target, cursor);
+  const entry = await getOrExtract(cacheKey, (sharedSignal, sharedProgress) =>
+    extractProfile(target, { cursor, signal: sharedSignal, onProgress: sharedProgress }), {
+    refresh: !!refresh,
+    signal,
+    onProgress,
+  });
+  if (entry.hit) {
+    onProgress?.('cache-hit', 'Loaded from cache');
+  }
+
+  const result = structuredClone(entry.value);
+  result.requestedUrl = requestedUrl;
+  result.originalUrl = url;
+  result.cache = {
+    hit: entry.hit,
+    coalesced: !!entry.coalesced,
+    key: cacheKey,
+    cachedAt: new Date(entry.cachedAt).toISOString(),
+    expiresAt: new Date(entry.expiresAt).toISOString(),
+  };
+  console.log(`Loaded ${target.platform} ${target.kind} page with ${result.items.length} items${entry.hit ? ' (cached)' : ''}`);
+
+  for (const item of result.items) {
+    attachProxyUrls(item);
+  }
+  return result;
 }
 
 /**
@@ -27,7 +195,7 @@ function detectPlatform(url) {
  */
 app.post('/api/extract', async (req, res) => {
   try {
-    const { url } = req.body;
+    const { url, refresh, thread, threadParents, audio } = req.body;
 
     if (!url) {
       return res.status(400).json({
@@ -36,80 +204,400 @@ app.post('/api/extract', async (req, res) => {
       });
     }
 
-    // Basic URL validation
-    let parsedUrl;
+    res.json(await extractUrl(url, { refresh, thread, threadParents, audio }));
+
+  } catch (error) {
+    console.error('Extraction error:', error);
+    sendError(res, error);
+  }
+});
+
+/**
+ * Batch extraction endpoint
+ * Streams one NDJSON line per URL as each extraction completes
+ */
+app.post('/api/extract/batch', async (req, res) => {
+  const { urls, refresh, thread, threadParents, audio } = req.body;
+
+  if (!Array.isArray(urls) || urls.length === 0) {
+    return res.status(400).json({
+      error: 'URLs are required',
+      message: 'Please provide an array of social media URLs to view',
+    });
+  }
+
+  if (urls.length > BATCH_MAX_URLS) {
+    return res.status(400).json({
+      error: 'Too many URLs',
+      message: `A batch can contain at most ${BATCH_MAX_URLS} URLs`,
+    });
+  }
+
+  // Stop starting new extractions once the client has gone away
+  const controller = new AbortController();
+  res.on('close', () => controller.abort());
+
+  res.status(200);
+  res.setHeader('Content-Type', 'application/x-ndjson; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.flushHeaders();
+
+  const writeLine = (line) => {
+    if (!controller.signal.aborted) {
+      res.write(JSON.stringify(line) + '\n');
+    }
+  };
+
+  await runWithConcurrency(urls, BATCH_CONCURRENCY, async (url, index) => {
     try {
-      parsedUrl = new URL(url);
-    } catch {
-      return res.status(400).json({
-        error: 'Invalid URL',
-        message: 'The provided URL is not valid',
+      const result = await extractUrl(String(url), {
+        refresh,
+        thread,
+        threadParents,
+        audio,
+        signal: controller.signal,
       });
+      writeLine({ index, url, ok: true, result });
+    } catch (error) {
+      console.error(`Batch extraction error for ${url}:`, error.message);
+      const body = toErrorBody(error);
+      if (error.pipeline) body.pipeline = error.pipeline;
+      writeLine({ index, url, ok: false, error: body });
     }
+  }, { signal: controller.signal });
 
-    const platform = detectPlatform(url);
+  writeLine({ done: true });
+  res.end();
+});
 
-    if (!platform) {
-      return res.status(400).json({
-        error: 'Unsupported platform',
-        message: 'Currently only Twitter/X, Instagram, and TikTok links are supported',
-      });
+/**
+ * Extraction with live progress over Server-Sent Events
+ * Sends `progress` events as extractors run, then one `result` or `failure`
+ * event. Closing the connection cancels the extraction.
+ */
+app.get('/api/extract/events', async (req, res) => {
+  const { url } = req.query;
+  const flag = (value) => value === '1' || value === 'true';
+
+  if (!url) {
+    return res.status(400).json({
+      error: 'URL is required',
+      message: 'Please provide a social media URL to view',
+    });
+  }
+
+  // Closing the EventSource aborts yt-dlp or the browser page
+  const controller = new AbortController();
+  res.on('close', () => controller.abort());
+
+  res.status(200);
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  res.flushHeaders();
+
+  const started = Date.now();
+  const send = (event, data) => {
+    if (!controller.signal.aborted) {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+  };
+
+  // Comment lines keep proxies from closing an idle stream
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+
+  const onProgress = (stage, message) => {
+    send('progress', { stage, message, elapsedMs: Date.now() - started });
+  };
+
+  try {
+    onProgress('queued', 'Starting extraction');
+    const result = await extractUrl(url, {
+      refresh: flag(req.query.refresh),
+      thread: flag(req.query.thread),
+      threadParents: flag(req.query.threadParents),
+      audio: flag(req.query.audio),
+      signal: controller.signal,
+      onProgress,
+    });
+    send('result', result);
+  } catch (error) {
+    if (controller.signal.aborted) {
+      console.log('Extraction cancelled by client');
+    } else {
+      console.error('Extraction error:', error);
+    }
+    const body = toErrorBody(error);
+    if (error.pipeline) body.pipeline = error.pipeline;
+    send('failure', body);
+  } finally {
+    clearInterval(heartbeat);
+    res.end();
+  }
+});
+
+/**
+ * Download endpoint - muxes best video + audio into a single MP4, or
+ * extracts the audio as M4A with ?audio=1
+ * Uses GET so the browser handles the file save natively
+ */
+app.get('/api/download', async (req, res) => {
+  const { url } = req.query;
+
+  if (!url) {
+    return res.status(400).json({
+      error: 'URL is required',
+      message: 'Please provide a social media URL to download',
+    });
+  }
+
+  try {
+    new URL(url);
+  } catch {
+    return sendError(res, new ExtractionError('invalid-url'));
+  }
+
+  // Kill yt-dlp if the client disconnects before the download finishes
+  const controller = new AbortController();
+  res.on('close', () => controller.abort());
+
+  let download;
+  try {
+    const normalized = await normalizeUrl(url, { signal: controller.signal });
+    if (!normalized.platform) {
+      return sendError(res, unsupportedError());
     }
+    download = await downloadWithYtdlp(normalized.url, {
+      signal: controller.signal,
+      audio: req.query.audio === '1' || req.query.audio === 'true',
+    });
+  } catch (error) {
+    if (controller.signal.aborted) return;
+    return sendError(res, error);
+  }
+
+  if (controller.signal.aborted) {
+    return download.cleanup();
+  }
+
+  // Temp files are removed once the response finishes or fails
+  res.download(download.filePath, download.fileName, () => download.cleanup());
+});
+
+/**
+ * Media proxy endpoint - streams signed CDN URLs with the right headers
+ */
+app.get('/api/media/:token', handleMediaRequest);
+
+/**
+ * Subtitle endpoint - serves a video's subtitle track as WebVTT
+ */
+app.get('/api/subtitles/:token', handleSubtitleRequest);
 
-    // Try yt-dlp first (most reliable for videos)
+/**
+ * Profiles, stories and highlights, one page at a time
+ * Pass the cursor from the previous page to get the next one
+ */
+app.get('/api/profile', async (req, res) => {
+  const { url, cursor } = req.query;
+
+  if (!url) {
+    return res.status(400).json({
+      error: 'URL is required',
+      message: 'Please provide the URL of a profile, story or highlight',
+    });
+  }
+
+  try {
     try {
-      console.log(`Extracting ${platform} content with yt-dlp...`);
-      const result = await extractWithYtdlp(url);
-
-      // Check if we got meaningful data
-      if (result && result.content?.media?.length > 0) {
-        // Check if we have a valid video URL
-        const hasVideo = result.content.media.some(m => m.type === 'video' && m.url);
-        if (hasVideo) {
-          console.log('yt-dlp extraction successful with video');
-          return res.json(result);
-        }
-      }
-    } catch (ytdlpError) {
-      console.log('yt-dlp extraction failed:', ytdlpError.message);
+      new URL(url);
+    } catch {
+      throw new ExtractionError('invalid-url');
+    }
+
+    const { url: normalized } = await normalizeUrl(url);
+    const target = parseProfileUrl(normalized);
+    if (!target) {
+      throw new ExtractionError('invalid-url', {
+        message: 'This is not a profile, story or highlight link',
+      });
     }
 
-    // Fallback to embed mode if yt-dlp failed
-    console.log('Falling back to embed mode');
-    res.json({
-      platform: platform,
-      embedMode: true,
-      originalUrl: url,
-      embedUrl: getEmbedUrl(platform, url),
+    res.json(await extractProfileUrl(normalized, target, {
+      requestedUrl: url,
+      cursor: cursor ? String(cursor) : undefined,
+    }));
+  } catch (error) {
+    console.error('Profile error:', error);
+    sendError(res, error);
+  }
+});
+
+/**
+ * Refuse requests another site's page made on a visitor's behalf
+ * Browsers send Sec-Fetch-Site or Origin with every cross-origin POST and
+ * DELETE; requests carrying neither (curl, scripts) aren't from a page
+ */
+function requireSameOrigin(req, res, next) {
+  const site = req.get('sec-fetch-site');
+  const origin = req.get('origin');
+  const ownOrigin = PUBLIC_URL || `${req.protocol}://${req.get('host')}`;
+
+  const crossSite = site
+    ? site !== 'same-origin' && site !== 'none'
+    : !!origin && origin !== ownOrigin && origin !== `${req.protocol}://${req.get('host')}`;
+  if (crossSite) {
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: 'The archive can only be changed from this site',
     });
+  }
+  next();
+}
+
+/**
+ * Archive a post - extracts it (usually a cache hit) and saves the result
+ * with its media downloaded, so it survives deletion upstream
+ */
+app.post('/api/archive', requireSameOrigin, async (req, res) => {
+  try {
+    const { url, thread, threadParents, audio } = req.body;
+
+    if (!url) {
+      return res.status(400).json({
+        error: 'URL is required',
+        message: 'Please provide the URL of the post to save',
+      });
+    }
+
+    const result = await extractUrl(url, { thread, threadParents, audio });
+    res.status(201).json(await saveToArchive(result));
 
   } catch (error) {
-    console.error('Extraction error:', error);
+    console.error('Archive error:', error);
+    sendError(res, error);
+  }
+});
 
-    res.status(500).json({
-      error: 'Extraction failed',
-      message: error.message || 'Failed to extract content from the URL',
+/**
+ * List archived posts, filtered by ?q= text and ?platform=
+ */
+app.get('/api/archive', async (req, res) => {
+  const entries = await listArchive({
+    query: String(req.query.q || ''),
+    platform: String(req.query.platform || ''),
+  });
+  res.json({ entries });
+});
+
+/**
+ * Archived media files, content-addressed
+ */
+app.get('/api/archive/media/:file', handleArchiveMediaRequest);
+
+/**
+ * Get one archived post with its full result
+ */
+app.get('/api/archive/:id', async (req, res) => {
+  const entry = await getArchiveEntry(req.params.id);
+  if (!entry) {
+    return res.status(404).json({
+      error: 'Not found',
+      message: 'No archived post with that ID',
     });
   }
+  res.json(entry);
 });
 
 /**
- * Get embed URL for a platform
+ * Delete an archived post, and its media unless another post shares it
  */
-function getEmbedUrl(platform, url) {
-  if (platform === 'twitter') {
-    return url.replace('x.com', 'twitter.com');
+app.delete('/api/archive/:id', requireSameOrigin, async (req, res) => {
+  if (!await deleteArchiveEntry(req.params.id)) {
+    return res.status(404).json({
+      error: 'Not found',
+      message: 'No archived post with that ID',
+    });
   }
-  if (platform === 'instagram') {
-    const match = url.match(/(?:p|reel|reels|tv)\/([A-Za-z0-9_-]+)/);
-    return match ? `https://www.instagram.com/p/${match[1]}/embed/` : url;
+  res.status(204).end();
+});
+
+/**
+ * Only let requests carrying the admin token through
+ */
+function requireAdmin(req, res, next) {
+  if (!ADMIN_TOKEN) {
+    return res.status(404).json({
+      error: 'Not found',
+      message: 'The admin API is disabled, set ADMIN_TOKEN to enable it',
+    });
   }
-  if (platform === 'tiktok') {
-    return url;
+
+  const token = Buffer.from((req.get('authorization') || '').replace(/^Bearer\s+/i, ''));
+  const expected = Buffer.from(ADMIN_TOKEN);
+  if (token.length !== expected.length || !crypto.timingSafeEqual(token, expected)) {
+    return res.status(401).json({
+      error: 'Unauthorized',
+      message: 'A valid admin token is required',
+    });
   }
-  return url;
+  next();
 }
 
+/**
+ * Logged-in sessions - list, upload (a Netscape cookies file as the body),
+ * delete, check and reload from disk. Cookie values are never sent back
+ */
+app.get('/api/admin/sessions', requireAdmin, (req, res) => {
+  res.json({ sessions: describeSessions() });
+});
+
+app.put('/api/admin/sessions/:platform/:name', requireAdmin, express.text({ limit: '1mb' }), async (req, res) => {
+  try {
+    const session = await saveSession(req.params.platform, req.params.name, String(req.body || ''));
+    res.json(session);
+  } catch (error) {
+    res.status(400).json({
+      error: 'Invalid session',
+      message: error.message,
+    });
+  }
+});
+
+app.delete('/api/admin/sessions/:platform/:name', requireAdmin, async (req, res) => {
+  if (!await deleteSession(req.params.platform, req.params.name)) {
+    return res.status(404).json({
+      error: 'Not found',
+      message: 'No session with that name',
+    });
+  }
+  res.status(204).end();
+});
+
+app.post('/api/admin/sessions/check', requireAdmin, async (req, res) => {
+  res.json({ sessions: await checkSessions() });
+});
+
+app.post('/api/admin/sessions/reload', requireAdmin, (req, res) => {
+  try {
+    loadSessions();
+    res.json({ sessions: describeSessions() });
+  } catch (error) {
+    console.error('Session reload error:', error);
+    res.status(500).json({
+      error: 'Reload failed',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * Supported platforms, used by the frontend for paste detection
+ */
+app.get('/api/platforms', (req, res) => {
+  res.json({ platforms: getPlatformSummaries() });
+});
+
 /**
  * Health check endpoint
  */
@@ -119,9 +607,44 @@ app.get('/api/health', async (req, res) => {
     status: 'ok',
     timestamp: new Date().toISOString(),
     ytdlp: ytdlp ? 'available' : 'not installed',
+    ytdlpJobs: getRunnerStats(),
+    browser: getBrowserPoolStats(),
+    cache: getCacheStats(),
+    sessions: getSessionStats(),
   });
 });
 
+/**
+ * Shareable post pages - the post card rendered server-side with Open Graph
+ * tags, so links unfurl in chat apps. /v/<platform>/<username>/<id> is for
+ * platforms whose post IDs are only unique per author
+ */
+app.get(['/v/:platform/:id', '/v/:platform/:username/:id'], async (req, res) => {
+  const { platform, username, id } = req.params;
+  res.type('html');
+
+  const url = getPermalinkTarget(platform, id, username);
+  if (!url) {
+    return res.status(404).send(renderErrorPage(toErrorBody(new ExtractionError('removed'))));
+  }
+
+  const controller = new AbortController();
+  res.on('close', () => controller.abort());
+
+  try {
+    const result = await extractUrl(url, { signal: controller.signal });
+    res.send(renderPostPage(result, {
+      origin: PUBLIC_URL || `${req.protocol}://${req.get('host')}`,
+      permalink: result.permalink || req.path,
+    }));
+  } catch (error) {
+    if (controller.signal.aborted) return;
+    console.error('Permalink extraction error:', error.message);
+    const body = toErrorBody(error);
+    res.status(body.status).send(renderErrorPage(body));
+  }
+});
+
 /**
  * Catch-all route - serve index.html for SPA
  * Express 5 requires named wildcard parameters
@@ -131,7 +654,7 @@ app.get('/{*path}', (req, res) => {
 });
 
 // Start server - bind to 0.0.0.0 for container deployments
-app.listen(PORT, '0.0.0.0', () => {
+const server = app.listen(PORT, '0.0.0.0', () => {
   console.log(`Server running on port ${PORT}`);
 
   // Check yt-dlp availability asynchronously
@@ -139,3 +662,20 @@ app.listen(PORT, '0.0.0.0', () => {
     console.log(`yt-dlp: ${ytdlp ? 'Available' : 'Not installed'}`);
   });
 });
+
+/**
+ * Graceful shutdown - stop accepting requests and close the browser pool
+ */
+async function shutdown(signal) {
+  console.log(`${signal} received, shutting down...`);
+
+  // Don't wait forever on long-lived connections (downloads, media streams)
+  setTimeout(() => process.exit(1), 10000).unref();
+
+  server.close();
+  await closeBrowserPool();
+  process.exit(0);
+}
+
+process.once('SIGTERM', () => shutdown('SIGTERM'));
+process.once('SIGINT', () => shutdown('SIGINT'));